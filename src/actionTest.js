@@ -1,6 +1,6 @@
 import { expect } from 'chai';
-import { createAction } from './index';
-import { complement, isEmpty } from 'ramda';
+import { checkProperty, createAction, diffState, formatDiff, isFSA } from './index';
+import { clone, complement, equals, isEmpty, type as typeOf } from 'ramda';
 
 import {
   testIfExists,
@@ -21,6 +21,98 @@ const runErrorTests = (func, action) => {
   shouldNotThrow(func, action);
 };
 
+/**
+ * Returns a property of generated payloads that holds when the reducer handles
+ * the action created with each payload without throwing, returns state of the
+ * type of the default state, leaves its state and action as they were and
+ * returns an equal result when called again
+ *
+ * @ignore
+ * @param  {Function} reducer        reducer under test
+ * @param  {*}        defaultState   state to reduce
+ * @param  {Function} actionCreator  takes (payload, meta) and returns an action
+ * @param  {*}        meta           meta of each action
+ * @return {Function}                takes a payload and returns a failure message, if any
+ */
+const reducerInvariants = (reducer, defaultState, actionCreator, meta) => payload => {
+  const state = clone(defaultState);
+  const action = actionCreator(payload, meta);
+  const actionBefore = clone(action);
+  const result = reducer(state, action);
+
+  if (typeOf(result) !== typeOf(defaultState)) {
+    return `returned a ${typeOf(result)} instead of a ${typeOf(defaultState)}`;
+  }
+
+  if (!equals(state, defaultState)) return 'mutated its state';
+  if (!equals(action, actionBefore)) return 'mutated its action';
+
+  return equals(reducer(state, action), result)
+    ? undefined
+    : 'returned a different result for the same state and action';
+};
+
+/**
+ * Checks the reducer against payloads generated from the `generate` options,
+ * failures name the seed to reproduce them with and the smallest payload found
+ * to fail
+ *
+ * @ignore
+ * @param  {Function} property          see `reducerInvariants`
+ * @param  {Object}   generate          options of
+ *                                      [checkProperty]{@link module:property~checkProperty}
+ * @return {undefined}
+ */
+const runPropertyTests = (property, { seed = Date.now(), runs = 100, ...options }) => {
+  it(`should hold its invariants for ${runs} generated payloads`, () => {
+    const failure = checkProperty(property, { seed, runs, ...options });
+    const message = failure && [
+      `reducer ${failure.message} with seed ${seed}, run ${failure.run}`,
+      `shrunk counterexample: ${JSON.stringify(failure.counterexample)}`,
+      `original payload: ${JSON.stringify(failure.payload)}`,
+    ].join('\n');
+
+    expect(failure, message).to.equal(null);
+  });
+};
+
+/**
+ * Given a reducer and its default state, returns a function that describes the
+ * tests of one action: its type, falsey payloads, and the state the reducer
+ * returns for it. With `generate` options the reducer is also checked against
+ * payloads generated from a [Schema]{@link module:schema~Schema}: it must not
+ * throw, must return state of the type of the default state, must leave its
+ * state and action as they were and must be deterministic
+ *
+ * @param  {Function} reducer                       reducer under test
+ * @param  {*}        [defaultState]                state to reduce, defaults to `{}`
+ * @return {Function}                               takes the options below and
+ *                                                  describes the tests
+ * @param  {String}   options.name                  name of the action creator
+ * @param  {String}   options.type                  action type
+ * @param  {Function} [options.creator]             action creator, defaults to
+ *                                                  `createAction(type)`
+ * @param  {*}        [options.payload]             example payload
+ * @param  {*}        [options.meta]                meta of each action
+ * @param  {String}   [options.payloadReassignKey]  key the payload is expected at
+ * @param  {Object}   [options.expectedObj]         state expected on top of the default
+ * @param  {Object}   [options.generate]            `schema`, `seed`, `runs` and `size`
+ *                                                  of generated payloads, see
+ *                                                  `checkProperty`
+ *
+ * @example
+ * const testAction = actionTestSuite(reducer, defaultState)
+ *
+ * testAction({
+ *   name: 'updatePatient',
+ *   type: UPDATE_PATIENT,
+ *   payload: { name: 'Ada' },
+ *   expectedObj: { name: 'Ada' },
+ *   generate: { schema: patientSchema, seed: 42 },
+ * })
+ * // on failure: reducer mutated its state with seed 42, run 3
+ * //             shrunk counterexample: {"name":""}
+ */
 export const actionTestSuite = (reducer, defaultState = {}) => ({
   name,
   creator,
@@ -29,13 +121,15 @@ export const actionTestSuite = (reducer, defaultState = {}) => ({
   payloadReassignKey,
   expectedObj = {},
   meta = {},
+  generate,
 }) => {
   describe(`given a valid ${name} action`, () => {
     const actionCreator = creator || createAction(type);
     const action = actionCreator(payload, meta);
 
     if (type.includes('Error')) {
-      shouldHaveKeys(action, 'error', 'message');
+      // Flux Standard error actions carry their message in an Error payload
+      shouldHaveKeys(action, 'error', isFSA(action) ? 'payload' : 'message');
     }
 
     describe(`the action created by ${name} should`, () => {
@@ -54,13 +148,20 @@ export const actionTestSuite = (reducer, defaultState = {}) => ({
 
     runErrorTests(actionCreator, action);
 
+    if (generate) {
+      runPropertyTests(reducerInvariants(reducer, defaultState, actionCreator, meta), generate);
+    }
+
     if (isNotEmpty(expectedObj)) testIfExists(result);
 
     shouldBeAnObject(result);
     shouldHaveKeys.apply(null, [result, ...expectedKeys]);
 
     it('should return the expected result', () => {
-      expect(result).to.deep.equal(expected);
+      const changes = diffState(expected, result);
+      const message = `differs from the expected result by\n${formatDiff(changes)}\n`;
+
+      expect(result).to.deep.equal(expected, isEmpty(changes) ? undefined : message);
     });
   });
 };
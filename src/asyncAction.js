@@ -0,0 +1,143 @@
+import { always, pathOr, propOr } from 'ramda';
+
+import { correlate, createAction, createErrorAction, isFSA } from './index';
+
+const emptyObject = always({});
+
+/**
+ * Wraps a handler so that its result is merged with the request status
+ * fields for a lifecycle phase
+ *
+ * @ignore
+ * @param  {Function} status      (state, action) => status fields
+ * @param  {Function} [handler]   additional (state, action) handler
+ * @return {Function}             handler with a (state, action) signature
+ */
+const withStatus = (status, handler = emptyObject) => (state, action) => ({
+  ...handler(state, action),
+  ...status(state, action),
+});
+
+/**
+ * Returns the message of an error action, from its Error payload when it is a
+ * Flux Standard Action
+ *
+ * @ignore
+ * @param  {Object} action  error action
+ * @return {String}         error message
+ */
+const errorMessage = action => (isFSA(action) ? action.payload.message : action.message);
+
+/** @module async */
+
+/**
+ * Default state fragment for the status fields maintained by the action map of
+ * an [async action]{@link module:async~createAsyncAction}
+ *
+ * @type {Object}
+ */
+export const asyncDefaultState = {
+  loading: false,
+  error: null,
+  lastUpdated: null,
+};
+
+/**
+ * Given an action type and a function that returns a promise, returns a thunk
+ * creator that dispatches a REQUEST action, calls the function with the
+ * payload and meta it was given, then dispatches a SUCCESS action with the
+ * resolved value as payload, or a FAILURE error action built by
+ * [createErrorAction]{@link module:actions~createErrorAction} with the rejection
+ * reason as payload.
+ *
+ * Like [createErrorThunk]{@link module:actions~createErrorThunk} the thunk's
+ * promise rejects with the dispatched FAILURE action.
+ *
+ * The thunk creator also carries the generated `types`, the `request`, `success`
+ * and `failure` action creators, and an `actionMap` for
+ * [createReducer]{@link module:reducers~createReducer} that keeps the
+ * `loading`, `error` and `lastUpdated` keys of
+ * [asyncDefaultState]{@link module:async~asyncDefaultState} up to date
+ *
+ * @see [tests]{@link module:test~createAsyncAction}
+ * @param  {String}   actionType            base action type, suffixed with
+ *                                          `/REQUEST`, `/SUCCESS` and `/FAILURE`
+ * @param  {Function} promiseFn             takes (payload, meta) and returns a promise
+ * @param  {Object}   [options]
+ * @param  {String}   [options.message]     FAILURE message, defaults to the message
+ *                                          of the rejection reason
+ * @param  {Object}   [options.handlers]    optional `request`, `success` and `failure`
+ *                                          handlers merged into each phase's status
+ * @param  {Function} [options.now]         clock that stamps the `timestamp` of SUCCESS
+ *                                          meta, which the action map keeps as
+ *                                          `lastUpdated`, defaults to `Date.now`
+ * @return {Function}                       thunk creator with a (payload, meta) signature
+ *
+ * @example
+ * const fetchPatients = createAsyncAction('@@/patients/fetch', api.getPatients, {
+ *   handlers: { success: createHandler('list') },
+ * })
+ *
+ * const reducer = createReducer(
+ *   { ...asyncDefaultState, list: [] },
+ *   fetchPatients.actionMap,
+ * )
+ *
+ * dispatch(fetchPatients({ page: 1 }))
+ * // dispatches { type: '@@/patients/fetch/REQUEST', payload: { page: 1 }, meta: {} }
+ * // then      { type: '@@/patients/fetch/SUCCESS', payload: [...patients],
+ * //             meta: { timestamp: 1472601600000 } }
+ *
+ * reducer(undefined, fetchPatients.success([1, 2]))
+ * //=> { loading: false, error: null, lastUpdated: 1472601600000, list: [1, 2] }
+ */
+export function createAsyncAction(actionType, promiseFn, {
+  message,
+  handlers = {},
+  now = Date.now,
+} = {}) {
+  const types = {
+    REQUEST: `${actionType}/REQUEST`,
+    SUCCESS: `${actionType}/SUCCESS`,
+    FAILURE: `${actionType}/FAILURE`,
+  };
+
+  const creatorOptions = { name: 'createAsyncAction' };
+  const request = createAction(types.REQUEST, creatorOptions);
+  const success = (result, meta) =>
+    createAction(types.SUCCESS, creatorOptions)(result, { ...meta, timestamp: now() });
+  const failure = (reason, meta) => createErrorAction(
+    types.FAILURE,
+    message || propOr(undefined, 'message', reason),
+    creatorOptions,
+  )(reason, meta);
+
+  const actionMap = {
+    [types.REQUEST]: withStatus(always({ loading: true, error: null }), handlers.request),
+    [types.SUCCESS]: withStatus(
+      (state, action) => ({
+        loading: false,
+        error: null,
+        lastUpdated: pathOr(null, ['meta', 'timestamp'], action),
+      }),
+      handlers.success,
+    ),
+    [types.FAILURE]: withStatus(
+      (state, action) => ({ loading: false, error: errorMessage(action) }),
+      handlers.failure,
+    ),
+  };
+
+  const thunkCreator = (payload, thunkMeta) => dispatch => {
+    const meta = correlate(thunkMeta);
+    dispatch(request(payload, meta));
+
+    return new Promise(resolve => resolve(promiseFn(payload, meta)))
+      .then(
+        result => dispatch(success(result, meta)),
+        reason => Promise.reject(dispatch(failure(reason, meta))),
+      );
+  };
+
+  return Object.assign(thunkCreator, { types, request, success, failure, actionMap });
+}
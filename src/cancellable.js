@@ -0,0 +1,207 @@
+import { contains, propOr, without } from 'ramda';
+
+import { correlate, createAction, createErrorAction } from './index';
+
+const noop = () => undefined;
+
+/**
+ * Minimal stand in for AbortController where the environment has none
+ *
+ * @ignore
+ * @return {Object} `{ signal, abort }`
+ */
+const createFallbackController = () => {
+  let listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => {
+      if (type === 'abort') listeners = [...listeners, listener];
+    },
+    removeEventListener: (type, listener) => {
+      listeners = without([listener], listeners);
+    },
+  };
+
+  const abort = () => {
+    if (signal.aborted) return;
+
+    signal.aborted = true;
+    listeners.forEach(listener => listener({ type: 'abort', target: signal }));
+  };
+
+  return { signal, abort };
+};
+
+/** @module cancellable */
+
+/**
+ * Concurrency modes of a [cancellable thunk]{@link module:cancellable~createCancellableThunk}
+ *
+ * - `parallel` runs every request (default)
+ * - `takeLatest` cancels running requests when a new one starts
+ * - `takeFirst` cancels new requests while one is running
+ * - `queue` runs requests one after another
+ *
+ * @type {String[]}
+ */
+export const CONCURRENCY_MODES = ['parallel', 'takeLatest', 'takeFirst', 'queue'];
+
+/**
+ * Creates an object with the `signal` of an AbortController and an `abort`
+ * function bound to it, or the same members where the environment has no
+ * AbortController. `abort` may be destructured and the signal passed to fetch
+ *
+ * @function
+ * @see [tests]{@link module:test~createAbortController}
+ * @return {Object} `{ signal, abort }`, the signal has an `aborted` flag and
+ *                  `addEventListener` and `removeEventListener` functions
+ */
+export const createAbortController = () => {
+  if (typeof AbortController !== 'function') return createFallbackController();
+
+  const controller = new AbortController(); // eslint-disable-line no-undef
+
+  return { signal: controller.signal, abort: () => controller.abort() };
+};
+
+/**
+ * Given an action type and a function that returns a promise, returns a thunk
+ * creator whose requests may be cancelled. The function is called with the
+ * payload and meta the thunk was given, and an abort signal (see
+ * [createAbortController]{@link module:cancellable~createAbortController})
+ * that is aborted when the request is cancelled.
+ *
+ * A request dispatches a SUCCESS action with the resolved value, or a FAILURE
+ * error action built by [createErrorAction]{@link module:actions~createErrorAction}
+ * with the rejection reason, unless it is cancelled first, in which case it
+ * dispatches a CANCELLED action whose meta has the `reason` for the cancellation
+ * and anything the function resolves with later is ignored.
+ *
+ * Requests are cancelled with the `cancel` function of the promise returned by
+ * the thunk, with the `cancel` function of the thunk creator for every pending
+ * request, or by the concurrency `mode`: `takeLatest` cancels pending requests
+ * with the `superseded` reason and `takeFirst` cancels new requests with the
+ * `ignored` reason. The thunk's promise resolves with the dispatched SUCCESS or
+ * CANCELLED action, and rejects with the dispatched FAILURE action
+ *
+ * @see [tests]{@link module:test~createCancellableThunk}
+ * @param  {String}   actionType                  base action type, suffixed with
+ *                                                `/SUCCESS`, `/FAILURE` and `/CANCELLED`
+ * @param  {Function} promiseFn                   takes (payload, meta, signal) and returns
+ *                                                a promise
+ * @param  {Object}   [options]
+ * @param  {String}   [options.mode='parallel']   concurrency mode, one of
+ *                                                `CONCURRENCY_MODES`
+ * @param  {String}   [options.message]           FAILURE message, defaults to the message
+ *                                                of the rejection reason
+ * @return {Function}                             thunk creator with a (payload, meta)
+ *                                                signature, carrying the `types` and
+ *                                                `cancel`
+ *
+ * @example
+ * const searchPatients = createCancellableThunk(
+ *   '@@/patients/search',
+ *   (query, meta, signal) => fetch(`/api/patients?q=${query}`, { signal }).then(toJSON),
+ *   { mode: 'takeLatest' },
+ * )
+ *
+ * dispatch(searchPatients('Ad'))
+ * dispatch(searchPatients('Ada'))
+ * // dispatches { type: '@@/patients/search/CANCELLED', payload: 'Ad',
+ * //              meta: { reason: 'superseded' } }
+ * // then       { type: '@@/patients/search/SUCCESS', payload: [...patients] }
+ */
+export function createCancellableThunk(actionType, promiseFn, {
+  mode = 'parallel',
+  message,
+} = {}) {
+  if (!contains(mode, CONCURRENCY_MODES)) {
+    throw new TypeError(`Unknown concurrency mode "${mode}"`);
+  }
+
+  const types = {
+    SUCCESS: `${actionType}/SUCCESS`,
+    FAILURE: `${actionType}/FAILURE`,
+    CANCELLED: `${actionType}/CANCELLED`,
+  };
+
+  const creatorOptions = { name: 'createCancellableThunk' };
+  const success = createAction(types.SUCCESS, creatorOptions);
+  const cancelled = createAction(types.CANCELLED, creatorOptions);
+  const failure = (reason, meta) => createErrorAction(
+    types.FAILURE,
+    message || propOr(undefined, 'message', reason),
+    creatorOptions,
+  )(reason, meta);
+
+  let pending = [];
+  let queueTail = Promise.resolve();
+
+  const createTask = (dispatch, payload, meta) => {
+    const controller = createAbortController();
+    let settlers;
+    let isDone = false;
+
+    const task = {
+      promise: new Promise((resolve, reject) => {
+        settlers = { resolve, reject };
+      }),
+    };
+
+    const finish = (settle, action) => {
+      if (isDone) return;
+
+      isDone = true;
+      pending = without([task], pending);
+      settle(dispatch(action));
+    };
+
+    task.cancel = (reason = 'cancelled') => {
+      if (isDone) return;
+
+      controller.abort();
+      finish(settlers.resolve, cancelled(payload, { ...meta, reason }));
+    };
+
+    task.run = () => {
+      if (!isDone) {
+        new Promise(resolve => resolve(promiseFn(payload, meta, controller.signal))).then(
+          result => finish(settlers.resolve, success(result, meta)),
+          reason => finish(settlers.reject, failure(reason, meta)),
+        );
+      }
+
+      return task.promise;
+    };
+
+    pending = [...pending, task];
+    return task;
+  };
+
+  const thunkCreator = (payload, meta) => dispatch => {
+    const isBusy = pending.length > 0;
+    const task = createTask(dispatch, payload, correlate(meta));
+
+    switch (mode) {
+      case 'takeLatest':
+        without([task], pending).forEach(other => other.cancel('superseded'));
+        task.run();
+        break;
+      case 'takeFirst':
+        if (isBusy) task.cancel('ignored');
+        else task.run();
+        break;
+      case 'queue':
+        queueTail = queueTail.then(task.run).then(noop, noop);
+        break;
+      default:
+        task.run();
+    }
+
+    return Object.assign(task.promise, { cancel: task.cancel });
+  };
+
+  const cancel = reason => pending.forEach(task => task.cancel(reason));
+
+  return Object.assign(thunkCreator, { types, cancel });
+}
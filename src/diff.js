@@ -0,0 +1,230 @@
+import { equals, has, identical, is, keys, type, union } from 'ramda';
+
+const isPlainObject = value => type(value) === 'Object';
+
+/**
+ * How many indexes either side of its own an array element that is equal but
+ * not identical to a previous one is looked for, keeping array diffs linear
+ *
+ * @ignore
+ * @type {Number}
+ */
+const MOVE_WINDOW = 8;
+
+/**
+ * Indexes the elements of an array by identity, returning a function that
+ * takes a value and the set of consumed indexes and returns the first
+ * unconsumed index holding that same value, or -1
+ *
+ * @ignore
+ * @param  {Array}    list  array to index
+ * @return {Function}       lookup function
+ */
+const indexByIdentity = list => {
+  const indexes = new Map();
+
+  list.forEach((value, index) => {
+    if (!indexes.has(value)) indexes.set(value, []);
+    indexes.get(value).push(index);
+  });
+
+  return (value, consumed) => {
+    const found = indexes.get(value) || [];
+    while (found.length && consumed.has(found[0])) found.shift();
+
+    return found.length ? found[0] : -1;
+  };
+};
+
+/**
+ * Lists the changes between two arrays. Elements kept at their index are
+ * unchanged, elements found at another index are moved, and remaining elements
+ * are diffed by index when possible, or else added and removed.
+ *
+ * Moved elements are found by identity anywhere in the array, and by value
+ * only within `MOVE_WINDOW` indexes of their own
+ *
+ * @ignore
+ * @param  {Array}    prev      previous array
+ * @param  {Array}    next      next array
+ * @param  {Array}    basePath  path of the arrays
+ * @param  {Function} diff      diffs two values at a path
+ * @return {Object[]}           changes
+ */
+const diffArrays = (prev, next, basePath, diff) => {
+  const consumed = new Set();
+  const placed = new Set();
+  const moves = [];
+  const changes = [];
+
+  next.forEach((value, index) => {
+    if (index < prev.length && equals(prev[index], value)) {
+      consumed.add(index);
+      placed.add(index);
+    }
+  });
+
+  const findIdentical = indexByIdentity(prev);
+  const findEqual = (value, index) => {
+    const last = Math.min(prev.length - 1, index + MOVE_WINDOW);
+
+    for (let i = Math.max(0, index - MOVE_WINDOW); i <= last; i += 1) {
+      if (!consumed.has(i) && equals(prev[i], value)) return i;
+    }
+
+    return -1;
+  };
+
+  next.forEach((value, index) => {
+    if (placed.has(index)) return;
+
+    const identicalAt = findIdentical(value, consumed);
+    const from = identicalAt === -1 ? findEqual(value, index) : identicalAt;
+    if (from === -1) return;
+
+    consumed.add(from);
+    placed.add(index);
+    moves.push({ kind: 'moved', path: [...basePath, index], from, value });
+  });
+
+  next.forEach((value, index) => {
+    if (placed.has(index)) return;
+
+    if (index < prev.length && !consumed.has(index)) {
+      consumed.add(index);
+      changes.push(...diff(prev[index], value, [...basePath, index]));
+    } else {
+      changes.push({ kind: 'added', path: [...basePath, index], next: value });
+    }
+  });
+
+  const removals = prev
+    .map((value, index) => ({ kind: 'removed', path: [...basePath, index], prev: value }))
+    .filter((change, index) => !consumed.has(index));
+
+  return [...removals, ...moves, ...changes];
+};
+
+/**
+ * Formats a value for a change description
+ *
+ * @ignore
+ * @param  {*}      value  value to format
+ * @return {String}        JSON, or `undefined`
+ */
+const formatValue = value => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+/**
+ * Lists the changes between two values found at a path
+ *
+ * @ignore
+ * @param  {*}        prev      previous value
+ * @param  {*}        next      next value
+ * @param  {Array}    basePath  path of the values
+ * @return {Object[]}           changes
+ */
+const diffAt = (prev, next, basePath) => {
+  if (identical(prev, next)) return [];
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    return union(keys(prev), keys(next)).reduce((changes, key) => {
+      const path = [...basePath, key];
+
+      if (!has(key, prev)) return [...changes, { kind: 'added', path, next: next[key] }];
+      if (!has(key, next)) return [...changes, { kind: 'removed', path, prev: prev[key] }];
+      return [...changes, ...diffAt(prev[key], next[key], path)];
+    }, []);
+  }
+
+  if (is(Array, prev) && is(Array, next)) return diffArrays(prev, next, basePath, diffAt);
+
+  return equals(prev, next) ? [] : [{ kind: 'changed', path: basePath, prev, next }];
+};
+
+/** @module diff */
+
+/**
+ * Formats a path of keys and indexes in the string syntax of
+ * [getLens]{@link module:lenses~getLens}
+ *
+ * @function
+ * @see [tests]{@link module:test~formatDiff}
+ * @param  {Array}  path  keys and indexes
+ * @return {String}       path string, `(root)` for an empty path
+ *
+ * @example
+ * formatPath(['visits', 0, 'provider']) //=> 'visits[0].provider'
+ */
+export const formatPath = path => (
+  path.length
+    ? path.reduce((result, key, index) => {
+      if (is(Number, key)) return `${result}[${key}]`;
+      return index === 0 ? String(key) : `${result}.${key}`;
+    }, '')
+    : '(root)'
+);
+
+/**
+ * Lists the structural changes between two states, down to the deepest path
+ * that changed. Each change has a `kind` and the `path` of keys and indexes it
+ * happened at:
+ *
+ * - `added`, with the `next` value
+ * - `removed`, with the `prev` value
+ * - `changed`, with the `prev` and `next` values
+ * - `moved`, for an array element now at `path` that was at index `from`, with
+ *   its `value`. Elements are matched by identity anywhere in the array, but
+ *   equal copies only within a few indexes of their own, so large arrays are
+ *   diffed in linear time
+ *
+ * Plain objects and arrays are compared key by key, anything else by value
+ *
+ * @function
+ * @see [tests]{@link module:test~diffState}
+ * @param  {*}        prev  previous state
+ * @param  {*}        next  next state
+ * @return {Object[]}       changes, empty when the states are equal
+ *
+ * @example
+ * diffState(
+ *   { patient: { address: { zip: '12345' } }, tags: ['a', 'b'] },
+ *   { patient: { address: { zip: '54321' } }, tags: ['b'] },
+ * )
+ * //=> [
+ * //  { kind: 'changed', path: ['patient', 'address', 'zip'], prev: '12345', next: '54321' },
+ * //  { kind: 'removed', path: ['tags', 0], prev: 'a' },
+ * //  { kind: 'moved', path: ['tags', 0], from: 1, value: 'b' },
+ * //]
+ *
+ * // assert an action only touched patient.address
+ * diffState(prev, next).every(({ path }) => formatPath(path).startsWith('patient.address'))
+ */
+export const diffState = (prev, next) => diffAt(prev, next, []);
+
+/**
+ * Describes a list of changes made by [diffState]{@link module:diff~diffState},
+ * one per line
+ *
+ * @function
+ * @see [tests]{@link module:test~formatDiff}
+ * @param  {Object[]} changes  changes
+ * @return {String}            description of the changes
+ *
+ * @example
+ * formatDiff(diffState({ a: { b: 1 }, c: [1, 2] }, { a: { b: 2 }, c: [2], d: true }))
+ * //=> '~ a.b: 1 -> 2\n- c[0]: 1\n> c[0]: moved from c[1]\n+ d: true'
+ */
+export const formatDiff = changes => changes.map(change => {
+  const at = formatPath(change.path);
+
+  switch (change.kind) {
+    case 'added':
+      return `+ ${at}: ${formatValue(change.next)}`;
+    case 'removed':
+      return `- ${at}: ${formatValue(change.prev)}`;
+    case 'moved':
+      return `> ${at}: moved from ${formatPath([...change.path.slice(0, -1), change.from])}`;
+    default:
+      return `~ ${at}: ${formatValue(change.prev)} -> ${formatValue(change.next)}`;
+  }
+}).join('\n');
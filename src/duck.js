@@ -0,0 +1,147 @@
+import {
+  compose,
+  curry,
+  filter,
+  fromPairs,
+  identity,
+  ifElse,
+  is,
+  keys,
+  map,
+  mapObjIndexed,
+  objOf,
+  prop,
+  replace,
+  toUpper,
+  values,
+} from 'ramda';
+
+import {
+  createAction,
+  createErrorAction,
+  createErrorThunk,
+  createReducer,
+  createThunk,
+} from './index';
+
+const registeredTypes = new Set();
+
+/**
+ * Converts a camel cased action name to a constant name
+ * Use like `toConstantName('fetchPatients') //=> 'FETCH_PATIENTS'`
+ *
+ * @ignore
+ * @param  {String} name  camel cased name
+ * @return {String}       upper snake cased name
+ */
+const toConstantName = compose(toUpper, replace(/([a-z\d])([A-Z])/g, '$1_$2'));
+
+/**
+ * A bare handler function is shorthand for `{ handler }`
+ *
+ * @ignore
+ * @param  {(Function|Object)} entry  duck action spec entry
+ * @return {Object}                   normalized entry
+ */
+const normalizeEntry = ifElse(is(Function), objOf('handler'), identity);
+
+/** @module ducks */
+
+/**
+ * Builds the namespaced action type string used by
+ * [createDuck]{@link module:ducks~createDuck}
+ *
+ * @function
+ * @see [tests]{@link module:test~namespaceType}
+ * @param  {String} namespace   name of the duck
+ * @param  {String} name        name of the action
+ * @return {String}             action type string
+ *
+ * @example
+ * namespaceType('patients', 'fetchPatients')
+ * //=> '@@/patients/fetchPatients'
+ */
+export const namespaceType = curry((namespace, name) => `@@/${namespace}/${name}`);
+
+/**
+ * Forgets every action type registered by
+ * [createDuck]{@link module:ducks~createDuck}, so ducks may be created again
+ * (between test runs, or when modules are hot reloaded)
+ *
+ * @function
+ * @see [tests]{@link module:test~createDuck}
+ */
+export const resetDuckRegistry = () => registeredTypes.clear();
+
+/**
+ * Generates type constants, action creators, error action creators, thunks and
+ * a reducer for a [duck]{@link https://github.com/erikras/ducks-modular-redux}
+ * from a single declarative spec.
+ *
+ * Each key of `spec.actions` names an action, its value is either a handler
+ * function or an object describing the action. Action types are namespaced
+ * with [namespaceType]{@link module:ducks~namespaceType}, and an error is thrown
+ * if another duck has already registered one of them
+ *
+ * @see [tests]{@link module:test~createDuck}
+ * @param  {String}   namespace                 name of the duck, prefixes every action type
+ * @param  {Object}   spec
+ * @param  {*}        [spec.defaultState={}]    default state for the duck's reducer
+ * @param  {Object}   [spec.actions={}]         map of action name to a handler function, or
+ *                                              to an object with the optional keys `handler`,
+ *                                              `error` (Boolean) and `message` (String)
+ * @param  {Object}   [spec.options]            result of reducerOptions, passed on to
+ *                                              [createReducer]{@link module:reducers~createReducer}
+ * @return {Object}                             `{ namespace, types, actions, thunks, reducer }`
+ *
+ * @example
+ * const patients = createDuck('patients', {
+ *   defaultState: { list: [] },
+ *   actions: {
+ *     receivePatients: createHandler('list'),
+ *     receivePatientsFailed: { error: true, message: 'Could not load patients' },
+ *   },
+ * })
+ *
+ * patients.types
+ * //=> {
+ * //  RECEIVE_PATIENTS: '@@/patients/receivePatients',
+ * //  RECEIVE_PATIENTS_FAILED: '@@/patients/receivePatientsFailed',
+ * //}
+ *
+ * patients.reducer(undefined, patients.actions.receivePatients([1, 2]))
+ * //=> { list: [1, 2] }
+ *
+ * dispatch(patients.thunks.receivePatientsFailed())
+ * //=> Promise rejected with the error action
+ */
+export function createDuck(namespace, { defaultState = {}, actions = {}, options } = {}) {
+  const entries = map(normalizeEntry, actions);
+  const typeOf = name => namespaceType(namespace, name);
+
+  const collisions = filter(type => registeredTypes.has(type), map(typeOf, keys(entries)));
+  if (collisions.length) {
+    const collided = collisions.join(', ');
+    throw new Error(`Duck "${namespace}" reuses action types of another duck: ${collided}`);
+  }
+
+  const types = fromPairs(map(name => [toConstantName(name), typeOf(name)], keys(entries)));
+
+  const creators = mapObjIndexed(({ error, message }, name) => (
+    error ? createErrorAction(typeOf(name), message) : createAction(typeOf(name))
+  ), entries);
+
+  const thunks = mapObjIndexed(({ error, message }, name) => (
+    error ? createErrorThunk(typeOf(name), message) : createThunk(typeOf(name))
+  ), entries);
+
+  const handled = filter(prop('handler'), entries);
+  const actionMap = fromPairs(map(name => [typeOf(name), handled[name].handler], keys(handled)));
+  const reducer = options
+    ? createReducer(defaultState, actionMap, options)
+    : createReducer(defaultState, actionMap);
+
+  values(types).forEach(type => registeredTypes.add(type));
+
+  return { namespace, types, actions: creators, thunks, reducer };
+}
@@ -0,0 +1,247 @@
+import {
+  assoc,
+  filter,
+  has,
+  identity,
+  ifElse,
+  is,
+  isNil,
+  keys,
+  length,
+  of,
+  omit,
+  prop,
+  propOr,
+  reduce,
+  sort,
+  values,
+} from 'ramda';
+
+import { createSelector } from './index';
+
+const toList = ifElse(is(Array), identity, of);
+const byIdOf = propOr({}, 'byId');
+const allIdsOf = propOr([], 'allIds');
+
+/**
+ * A property name is shorthand for a comparer of that property
+ *
+ * @ignore
+ * @param  {(Function|String)} comparer  comparer function or property name
+ * @return {Function}                    comparer with an (a, b) signature
+ */
+const toComparer = ifElse(is(Function), identity, key => (a, b) => {
+  if (prop(key, a) < prop(key, b)) return -1;
+  return prop(key, a) > prop(key, b) ? 1 : 0;
+});
+
+/**
+ * Adds an entity to a mutable normalized shape, or merges it into the entity
+ * with the same id
+ *
+ * @ignore
+ * @param  {Object} entities  entities by schema name
+ * @param  {String} name      name of the entity schema
+ * @param  {*}      id        id of the entity
+ * @param  {Object} entity    entity with nested entities replaced by their ids
+ */
+const collect = (entities, name, id, entity) => {
+  const collection = propOr({}, name, entities);
+  entities[name] = assoc(id, { ...propOr({}, id, collection), ...entity }, collection);
+};
+
+/**
+ * Replaces a value described by a schema with its id, or list of ids,
+ * collecting every entity met along the way
+ *
+ * @ignore
+ * @param  {(EntitySchema|EntitySchema[])} schema    schema of the value
+ * @param  {*}                             value     value to normalize
+ * @param  {Object}                        entities  mutable entities by schema name
+ * @return {*}                                       id, or ids, of the value
+ */
+const normalizeValue = (schema, value, entities) => {
+  if (isNil(value)) return value;
+  if (is(Array, schema)) {
+    return toList(value).map(item => normalizeValue(schema[0], item, entities));
+  }
+
+  const { name, definition, idKey } = schema;
+  const entity = reduce((result, key) => (
+    has(key, value)
+      ? assoc(key, normalizeValue(definition[key], value[key], entities), result)
+      : result
+  ), value, keys(definition));
+
+  collect(entities, name, value[idKey], entity);
+  return value[idKey];
+};
+
+/** @module entities */
+
+/**
+ * Describes an entity for [normalize]{@link module:entities~normalize}
+ *
+ * @function
+ * @see [tests]{@link module:test~normalize}
+ * @param  {String} name                  name of the entity collection
+ * @param  {Object} [definition]          map of keys holding nested entities to their
+ *                                        entity schema, or a list of one entity schema
+ * @param  {Object} [options]
+ * @param  {String} [options.idKey='id']  name of the identifying property
+ * @return {EntitySchema}                 entity schema
+ *
+ * @example
+ * const provider = entitySchema('providers')
+ * const visit = entitySchema('visits', { provider })
+ * const patient = entitySchema('patients', { visits: [visit] })
+ */
+export const entitySchema = (name, definition = {}, { idKey = 'id' } = {}) =>
+  ({ name, definition, idKey });
+
+/**
+ * Flattens nested data into collections of entities keyed by id, replacing each
+ * nested entity with its id. Entities met more than once are merged
+ *
+ * @function
+ * @see [tests]{@link module:test~normalize}
+ * @param  {*}                              data    data to normalize
+ * @param  {(EntitySchema|EntitySchema[])}  schema  entity schema of the data, or a list
+ *                                                  of one entity schema for an array
+ * @return {Object}                                 `{ result, entities }` where result is
+ *                                                  the id, or ids, of the data
+ *
+ * @example
+ * normalize([{ id: 1, visits: [{ id: 10, provider: { id: 3 } }] }], [patient])
+ * //=> {
+ * //  result: [1],
+ * //  entities: {
+ * //    patients: { 1: { id: 1, visits: [10] } },
+ * //    visits: { 10: { id: 10, provider: 3 } },
+ * //    providers: { 3: { id: 3 } },
+ * //  },
+ * //}
+ *
+ * const receivePatients = createAction(RECEIVE_PATIENTS)
+ * fetchCallback((data, meta) => receivePatients(normalize(data, [patient]), meta))
+ */
+export const normalize = (data, schema) => {
+  const entities = {};
+  const result = normalizeValue(schema, data, entities);
+
+  return { result, entities };
+};
+
+/**
+ * Generates action handlers and selectors for a normalized collection of
+ * entities kept as `{ byId, allIds }`. Handlers take the (state, action)
+ * signature and return the `byId` and `allIds` keys, to be merged into state by
+ * [createReducer]{@link module:reducers~createReducer}:
+ *
+ * - `addOne` adds the payload entity, unless its id is already known
+ * - `addMany` adds each entity in the payload list, unless its id is already known
+ * - `upsert` adds, or shallow merges into a known entity, a payload entity or list
+ * - `update` merges the `changes` of a payload `{ id, changes }` (or list of them)
+ *   into known entities
+ * - `remove` removes the entities with the payload id or list of ids
+ * - `setAll` replaces every entity with the payload list
+ * - `sort` reorders ids with a payload comparer function or property name
+ * - `upsertNormalized` upserts the collection named `name` from the `entities` of a
+ *   [normalize]{@link module:entities~normalize} result payload
+ *
+ * With a `sortComparer`, ids are kept sorted whenever entities are added
+ *
+ * @see [tests]{@link module:test~createEntityAdapter}
+ * @param  {Object}             [options]
+ * @param  {String}             [options.idKey='id']    name of the identifying property
+ * @param  {String}             [options.name]          name of the collection in normalized data
+ * @param  {(Function|String)}  [options.sortComparer]  comparer function or property name
+ * @return {Object}                                     `getInitialState`, `getSelectors` and
+ *                                                      each handler
+ *
+ * @example
+ * const patients = createEntityAdapter({ name: 'patients', sortComparer: 'lastName' })
+ *
+ * const reducer = createReducer(patients.getInitialState({ loading: false }), {
+ *   [ADD_PATIENT]: patients.addOne,
+ *   [RECEIVE_PATIENTS]: patients.upsertNormalized,
+ *   [DISCHARGE_PATIENT]: patients.remove,
+ * })
+ *
+ * const { selectAll, selectById, selectTotal, selectFiltered } = patients.getSelectors('patients')
+ * const selectAdmitted = selectFiltered(patient => patient.admitted)
+ */
+export function createEntityAdapter({ idKey = 'id', name, sortComparer } = {}) {
+  const getId = prop(idKey);
+
+  const sortIds = (comparer, byId, allIds) =>
+    sort((a, b) => toComparer(comparer)(byId[a], byId[b]), allIds);
+
+  const withSortedIds = (byId, allIds) =>
+    ({ byId, allIds: sortComparer ? sortIds(sortComparer, byId, allIds) : allIds });
+
+  const insert = (state, entities, mergeKnown) => {
+    const byId = { ...byIdOf(state) };
+    const allIds = [...allIdsOf(state)];
+
+    entities.forEach(entity => {
+      const id = getId(entity);
+
+      if (!has(id, byId)) {
+        byId[id] = entity;
+        allIds.push(id);
+      } else if (mergeKnown) {
+        byId[id] = { ...byId[id], ...entity };
+      }
+    });
+
+    return withSortedIds(byId, allIds);
+  };
+
+  const upsert = (state, { payload }) => insert(state, toList(payload), true);
+
+  const getSelectors = slicePath => {
+    const base = isNil(slicePath) ? [] : [].concat(slicePath);
+    const selectEntities = createSelector([...base, 'byId']);
+    const selectIds = createSelector([...base, 'allIds']);
+    const selectAll = createSelector(selectEntities, selectIds,
+      (byId = {}, allIds = []) => allIds.map(id => byId[id]));
+
+    return {
+      selectEntities,
+      selectIds,
+      selectAll,
+      selectById: (state, id) => propOr(undefined, id, selectEntities(state)),
+      selectTotal: createSelector(selectIds, (allIds = []) => length(allIds)),
+      selectFiltered: predicate => createSelector(selectAll, filter(predicate)),
+    };
+  };
+
+  return {
+    getInitialState: (extra = {}) => ({ ...extra, byId: {}, allIds: [] }),
+    getSelectors,
+    addOne: (state, { payload }) => insert(state, [payload], false),
+    addMany: (state, { payload }) => insert(state, payload, false),
+    upsert,
+    update: (state, { payload }) => {
+      const known = filter(({ id }) => has(id, byIdOf(state)), toList(payload));
+      return insert(state, known.map(({ id, changes }) => ({ ...changes, [idKey]: id })), true);
+    },
+    remove: (state, { payload }) => {
+      const ids = toList(payload);
+      const removed = id => ids.some(removedId => String(removedId) === String(id));
+
+      return {
+        byId: omit(ids.map(String), byIdOf(state)),
+        allIds: allIdsOf(state).filter(id => !removed(id)),
+      };
+    },
+    setAll: (state, { payload }) => insert({}, payload, false),
+    sort: (state, { payload }) => ({
+      byId: byIdOf(state),
+      allIds: sortIds(payload || sortComparer, byIdOf(state), allIdsOf(state)),
+    }),
+    upsertNormalized: (state, { payload }) =>
+      upsert(state, { payload: values(propOr({}, name, propOr({}, 'entities', payload))) }),
+  };
+}
@@ -0,0 +1,158 @@
+import {
+  any,
+  either,
+  is,
+  isNil,
+  keys,
+  propOr,
+  reject,
+  toLower,
+} from 'ramda';
+
+import {
+  FETCH_ERROR,
+  actionTypeIs,
+  fetchCallback,
+  isErrorAction,
+  returnActionResult,
+  returnErrorResult,
+  routeErrorAction,
+  statusFilter,
+} from './index';
+
+const isJSONBody = either(is(Array), body => is(Object, body) && body.constructor === Object);
+const hasContentType = headers => any(key => toLower(key) === 'content-type', keys(headers));
+const defaultFetch = (...args) => global.fetch(...args);
+
+/**
+ * Reads the body of a fetch Response and returns the
+ * [redux-effects-fetch]{@link https://goo.gl/bG7PO0} response shape that
+ * [statusFilter]{@link module:fetch~statusFilter} expects
+ *
+ * @ignore
+ * @param  {Object}  response  fetch Response
+ * @return {Promise}           resolves with `{ url, status, statusText, headers, value }`
+ */
+const readResponse = response => response.text().then(value => ({
+  url: response.url,
+  status: response.status,
+  statusText: response.statusText,
+  headers: response.headers,
+  value,
+}));
+
+/** @module fetchMiddleware */
+
+/**
+ * Action type handled by the [fetch middleware]{@link module:fetchMiddleware~createFetchMiddleware}
+ *
+ * @type {String}
+ */
+export const EFFECT_FETCH = 'EFFECT_FETCH';
+
+/**
+ * Creates a [FetchAction]{@link module:fetch~FetchAction}
+ *
+ * @function
+ * @see [tests]{@link module:test~fetchAction}
+ * @param  {String}             url                     the request url
+ * @param  {ParamsObject}       [params]                the request params
+ * @param  {Object}             [callbacks]
+ * @param  {(String|Function)}  [callbacks.onSuccess]   action type or action creator
+ *                                                      for the response data
+ * @param  {(String|Function)}  [callbacks.onError]     action type or error action creator
+ * @return {FetchAction}                                action for the fetch middleware
+ *
+ * @example
+ * dispatch(fetchAction('/api/patients', { method: 'GET' }, {
+ *   onSuccess: RECEIVE_PATIENTS,
+ *   onError: RECEIVE_PATIENTS_FAILED,
+ * }))
+ */
+export const fetchAction = (url, params = {}, { onSuccess, onError } = {}) =>
+  returnActionResult(EFFECT_FETCH, { url, params }, reject(isNil, { onSuccess, onError }));
+
+/**
+ * Builds the init argument of a fetch call from a
+ * [ParamsObject]{@link module:fetch~ParamsObject}. Plain object and array
+ * bodies are sent as JSON, with a JSON content type unless one is given.
+ * Any other params (credentials, mode...) are passed through
+ *
+ * @function
+ * @see [tests]{@link module:test~buildRequest}
+ * @param  {ParamsObject} [params]  the request params
+ * @return {Object}                 fetch init object
+ *
+ * @example
+ * buildRequest({ method: 'POST', body: { name: 'Ada' } })
+ * //=> {
+ * //  method: 'POST',
+ * //  headers: { 'Content-Type': 'application/json' },
+ * //  body: '{"name":"Ada"}',
+ * //}
+ */
+export const buildRequest = ({ body, method = 'GET', headers = {}, ...rest } = {}) => {
+  const isJSON = isJSONBody(body);
+  const request = {
+    ...rest,
+    method,
+    headers: isJSON && !hasContentType(headers)
+      ? { 'Content-Type': 'application/json', ...headers }
+      : headers,
+  };
+
+  if (!isNil(body)) request.body = isJSON ? JSON.stringify(body) : body;
+  return request;
+};
+
+/**
+ * Creates a redux middleware that performs the request described by each
+ * [FetchAction]{@link module:fetch~FetchAction}, and passes any other action on.
+ *
+ * Responses are routed through [statusFilter]{@link module:fetch~statusFilter},
+ * data is delivered through [fetchCallback]{@link module:fetch~fetchCallback} to
+ * an action built with [actionCreatorOrNew]{@link module:fetch~actionCreatorOrNew}
+ * from `meta.onSuccess`, which is dispatched. Error actions, and a FETCH_ERROR
+ * action with a `{ url }` payload when no response was received, are routed
+ * through [routeErrorAction]{@link module:fetch~routeErrorAction} with
+ * `meta.onError`, and dispatched when it is given.
+ *
+ * Dispatching a FetchAction returns a promise that resolves with the dispatched
+ * success action (or the response when there is no `onSuccess`), and rejects
+ * with the error action
+ *
+ * @see [tests]{@link module:test~createFetchMiddleware}
+ * @param  {Object}   [options]
+ * @param  {Function} [options.fetch]   fetch implementation, defaults to the global fetch
+ * @return {Function}                   redux middleware
+ *
+ * @example
+ * const store = createStore(reducer, applyMiddleware(createFetchMiddleware()))
+ *
+ * store.dispatch(fetchAction('/api/patients', {}, { onSuccess: RECEIVE_PATIENTS }))
+ *   .then(action => console.log(action.payload))
+ */
+export const createFetchMiddleware = ({ fetch = defaultFetch } = {}) =>
+  ({ dispatch }) => next => action => {
+    if (!actionTypeIs(action, EFFECT_FETCH)) return next(action);
+
+    const { url, params } = action.payload;
+    const onSuccess = propOr(undefined, 'onSuccess', action.meta);
+    const onError = propOr(undefined, 'onError', action.meta);
+
+    const succeed = response =>
+      (onSuccess ? dispatch(fetchCallback(onSuccess)(response)) : response);
+
+    const fail = errorAction =>
+      Promise.reject(onError ? dispatch(routeErrorAction(onError, errorAction)) : errorAction);
+
+    return new Promise(resolve => resolve(fetch(url, buildRequest(params))))
+      .then(readResponse)
+      .then(
+        response => {
+          const result = statusFilter(response);
+          return isErrorAction(result) ? fail(result) : succeed(response);
+        },
+        error => fail(returnErrorResult(FETCH_ERROR, error.message, { url })),
+      );
+  };
@@ -0,0 +1,219 @@
+import {
+  contains,
+  identical,
+  is,
+  isNil,
+  path,
+  prop,
+  propOr,
+  T,
+  takeLast,
+} from 'ramda';
+
+import { returnActionResult } from './index';
+
+const HISTORY_INIT = '@@/history/init';
+
+/**
+ * A list of action types is shorthand for a predicate matching those types,
+ * nil matches every action
+ *
+ * @ignore
+ * @param  {(Function|String[])} filter  predicate or list of action types
+ * @return {Function}                    predicate with an (action) signature
+ */
+const toActionPredicate = filter => {
+  if (isNil(filter)) return T;
+  return is(Array, filter) ? action => contains(action.type, filter) : filter;
+};
+
+/** @module history */
+
+/**
+ * Action types handled by every [history]{@link module:history~withHistory} reducer
+ *
+ * @type {String}
+ */
+export const UNDO = '@@/history/undo';
+export const REDO = '@@/history/redo';
+export const JUMP_TO = '@@/history/jumpTo';
+export const CLEAR_HISTORY = '@@/history/clear';
+
+/**
+ * Creates an action that restores the previous present state of a
+ * [history]{@link module:history~withHistory} reducer
+ *
+ * @function
+ * @see [tests]{@link module:test~withHistory}
+ * @return {Object} undo action
+ */
+export const undo = () => returnActionResult(UNDO);
+
+/**
+ * Creates an action that restores the next present state of a
+ * [history]{@link module:history~withHistory} reducer
+ *
+ * @function
+ * @see [tests]{@link module:test~withHistory}
+ * @return {Object} redo action
+ */
+export const redo = () => returnActionResult(REDO);
+
+/**
+ * Creates an action that makes the state at the given index of the history
+ * timeline (past states, present state, then future states) the present state
+ *
+ * @function
+ * @see [tests]{@link module:test~withHistory}
+ * @param  {Number} index   index in `[...past, present, ...future]`
+ * @return {Object}         jump action
+ */
+export const jumpTo = index => returnActionResult(JUMP_TO, { index });
+
+/**
+ * Creates an action that forgets past and future states, keeping the present
+ *
+ * @function
+ * @see [tests]{@link module:test~withHistory}
+ * @return {Object} clear history action
+ */
+export const clearHistory = () => returnActionResult(CLEAR_HISTORY);
+
+/**
+ * Returns true if a history state has a past state to undo to
+ *
+ * @function
+ * @param  {Object}  history  state of a history reducer
+ * @return {Boolean}
+ */
+export const canUndo = history => propOr([], 'past', history).length > 0;
+
+/**
+ * Returns true if a history state has a future state to redo to
+ *
+ * @function
+ * @param  {Object}  history  state of a history reducer
+ * @return {Boolean}
+ */
+export const canRedo = history => propOr([], 'future', history).length > 0;
+
+/**
+ * Wraps a reducer, such as one made by
+ * [createReducer]{@link module:reducers~createReducer} or
+ * [reduceReducers]{@link module:reducers~reduceReducers}, so that its state is
+ * kept as `{ past, present, future }` and may be moved through with the
+ * [undo]{@link module:history~undo}, [redo]{@link module:history~redo},
+ * [jumpTo]{@link module:history~jumpTo} and
+ * [clearHistory]{@link module:history~clearHistory} actions.
+ *
+ * Each recorded action that changes the present state pushes the previous
+ * present state to `past`, and clears `future`. Actions that are not recorded
+ * change the present state without a history step. Consecutive recorded actions
+ * in the same group, each timestamped within `groupWithin` milliseconds of the
+ * one before, make up a single step. Timestamps are read from the actions, such
+ * as those stamped by [createMetaEnricher]{@link module:actions~createMetaEnricher},
+ * so the reducer stays pure; actions without one are never grouped. The group of
+ * the last step is remembered per history state rather than kept in it
+ *
+ * @see [tests]{@link module:test~withHistory}
+ * @param  {Function}             reducer                 reducer to wrap
+ * @param  {Object}               [options]
+ * @param  {Number}               [options.limit=100]     most past states kept
+ * @param  {(Function|String[])}  [options.filter]        predicate, or list of action types,
+ *                                                        for the actions to record,
+ *                                                        every action by default
+ * @param  {Function}             [options.groupBy]       takes an action and returns its
+ *                                                        group, its type by default
+ * @param  {Number}               [options.groupWithin=0] milliseconds within which actions of
+ *                                                        a group are merged into one step
+ * @param  {Function}             [options.timestampOf]   takes an action and returns its time
+ *                                                        in milliseconds, its `meta.timestamp`
+ *                                                        by default
+ * @return {Function}                                     history reducer
+ *
+ * @example
+ * const formReducer = withHistory(createReducer(defaultForm, {
+ *   [EDIT_FIELD]: editFieldHandler,
+ *   [SUBMIT_FORM]: submitFormHandler,
+ * }), {
+ *   filter: [EDIT_FIELD],
+ *   groupWithin: 500,
+ * })
+ *
+ * // keystrokes in quick succession are undone together
+ * dispatch(editField({ name: 'A' }))
+ * dispatch(editField({ name: 'Ad' }))
+ * dispatch(editField({ name: 'Ada' }))
+ * dispatch(undo())
+ * getState().form.present.name //=> ''
+ */
+export function withHistory(reducer, {
+  limit = 100,
+  filter,
+  groupBy = prop('type'),
+  groupWithin = 0,
+  timestampOf = path(['meta', 'timestamp']),
+} = {}) {
+  const shouldRecord = toActionPredicate(filter);
+  const groups = new WeakMap();
+
+  const withGroup = (history, group) => {
+    if (!isNil(group)) groups.set(history, group);
+    return history;
+  };
+
+  const initialHistory = () => ({
+    past: [],
+    present: reducer(undefined, { type: HISTORY_INIT }),
+    future: [],
+  });
+
+  const jump = (history, index) => {
+    const timeline = [...history.past, history.present, ...history.future];
+    if (!(index >= 0 && index < timeline.length)) return history;
+
+    return {
+      past: timeline.slice(0, index),
+      present: timeline[index],
+      future: timeline.slice(index + 1),
+    };
+  };
+
+  const record = (history, action, present) => {
+    const group = { key: groupBy(action), time: timestampOf(action) };
+    const previous = groups.get(history);
+    const isGrouped = groupWithin > 0 && !isNil(previous)
+      && !isNil(previous.time) && !isNil(group.time)
+      && identical(previous.key, group.key)
+      && group.time - previous.time <= groupWithin;
+
+    return withGroup({
+      past: isGrouped ? history.past : takeLast(limit, [...history.past, history.present]),
+      present,
+      future: [],
+    }, group);
+  };
+
+  return (state, action) => {
+    const history = isNil(state) ? initialHistory() : state;
+
+    switch (propOr('', 'type', action)) {
+      case UNDO:
+        return jump(history, history.past.length - 1);
+      case REDO:
+        return jump(history, history.past.length + 1);
+      case JUMP_TO:
+        return jump(history, action.payload.index);
+      case CLEAR_HISTORY:
+        return { past: [], present: history.present, future: [] };
+      default: {
+        const present = reducer(history.present, action);
+
+        if (identical(present, history.present)) return history;
+        if (!shouldRecord(action)) return withGroup({ ...history, present }, groups.get(history));
+
+        return record(history, action, present);
+      }
+    }
+  };
+}
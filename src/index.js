@@ -1,48 +1,126 @@
 /* eslint-disable max-len */
 import {
+  __,
+  all,
   allPass,
+  any,
+  anyPass,
   always,
-  and,
+  assoc,
+  both,
+  complement,
   compose,
+  concat,
   cond,
+  contains,
   converge,
   curry,
   defaultTo,
+  either,
   equals,
+  find,
+  findIndex,
   flip,
   gte,
   has,
+  identical,
   identity,
   ifElse,
+  init,
   is,
   isArrayLike,
   isEmpty,
   isNil,
+  keys,
+  last,
+  lens,
   lensPath,
   lt,
+  map,
+  mapObjIndexed,
   merge,
   mergeAll,
+  mergeWith,
   nthArg,
   objOf,
   of,
-  or,
+  partition,
   path,
   prop,
   propEq,
   propOr,
+  reject,
+  remove,
   set,
+  slice,
   T,
+  take,
+  test,
   type,
+  unary,
+  update,
+  values,
   view,
+  whereEq,
 } from 'ramda';
 
+import { validatePayload } from './schema';
+import { warnUndefinedHandler } from './purity';
+
 export { actionTestSuite } from './actionTest';
+export { createDuck, namespaceType, resetDuckRegistry } from './duck';
+export { asyncDefaultState, createAsyncAction } from './asyncAction';
+export {
+  generateField,
+  generatePayload,
+  validateField,
+  validatePayload,
+  validateShape,
+} from './schema';
+export { createEntityAdapter, entitySchema, normalize } from './entities';
+export {
+  EFFECT_FETCH,
+  buildRequest,
+  createFetchMiddleware,
+  fetchAction,
+} from './fetchMiddleware';
+export {
+  CLEAR_HISTORY,
+  JUMP_TO,
+  REDO,
+  UNDO,
+  canRedo,
+  canUndo,
+  clearHistory,
+  jumpTo,
+  redo,
+  undo,
+  withHistory,
+} from './history';
+export { RETRY_STATUSES, backoffDelay, createRetryThunk } from './retry';
+export {
+  CONCURRENCY_MODES,
+  createAbortController,
+  createCancellableThunk,
+} from './cancellable';
+export { optimistic, optimisticReducer } from './optimistic';
+export { diffState, formatDiff, formatPath } from './diff';
+export { createLoggerMiddleware, redact } from './logger';
+export { deepFreeze, findNonSerializable, strictReducer } from './purity';
+export { checkProperty, createRandom, shrinkValue } from './property';
+export {
+  REHYDRATE,
+  createMemoryStorage,
+  persistEnhancer,
+  persistReducer,
+  rehydrate,
+} from './persist';
+export { INIT, REPLACE, configureStore, thunkMiddleware } from './store';
 
-const isNilOrEmpty = or(isNil, isEmpty);
+const isNilOrEmpty = either(isNil, isEmpty);
 const orEmptyObject = defaultTo({});
 
 const emptyObject = always({});
-const getPropOrEmptyObjectFunction = propOr(emptyObject);
 const getPropOrEmptyString = propOr('');
 const secondArgument = nthArg(1);
 
@@ -61,10 +139,9 @@ const typeIs = typeName => compose(equals(typeName), type, nthArg(0));
  * Merges state with reducer result in case of an object type
  * otherwise just returns the reducer result.
  *
- * If a different strategy is required for a type such as `Array`, an
- * additional pair may be added with like [typeIs('Array'), handler]
- * the handler will be passed the (state, reducerResult) signature
- * upon its predicate evaluating to true
+ * This is the default `shallowMerge` strategy, if a different strategy is
+ * required for a reducer or action type, pass one with
+ * [reducerOptions]{@link module:reducers~reducerOptions}
  *
  * @ignore
  * @function
@@ -77,8 +154,267 @@ const applyHandlerByType = cond([
   [T, secondArgument],
 ]);
 
+/**
+ * Predicate that is true when both the state and handler result
+ * arguments are of the given type
+ *
+ * @ignore
+ * @param  {String} typeName  name of type to test for
+ * @return {Function}         Expects (state, handlerResult)
+ */
+const bothAre = typeName =>
+  both(typeIs(typeName), compose(equals(typeName), type, secondArgument));
+
+/**
+ * Applies strategy only when state and handler result share the given type,
+ * otherwise falls back to replacing state with the handler result
+ *
+ * @ignore
+ * @param  {String}   typeName  name of type both arguments must be
+ * @param  {Function} strategy  (state, handlerResult) => nextState
+ * @return {Function}           guarded strategy
+ */
+const whenBoth = (typeName, strategy) =>
+  ifElse(bothAre(typeName), strategy, secondArgument);
+
+/**
+ * Recursively merges plain objects, any other value in the handler result
+ * (including arrays) replaces the value found in state
+ *
+ * @ignore
+ * @param  {*} state          current state
+ * @param  {*} handlerResult  result of an action handler
+ * @return {*}                deeply merged state
+ */
+const deepMerge = whenBoth('Object', (state, handlerResult) =>
+  mergeWith(deepMerge, state, handlerResult)
+);
+
+/**
+ * Shares structure between the previous and next state: plain objects and
+ * arrays of the next state that are equal to the same path of the previous
+ * state are replaced by the previous ones, so unchanged branches keep their
+ * reference, and the previous state itself is returned when nothing changed
+ *
+ * @ignore
+ * @param  {*} previous  previous state
+ * @param  {*} next      next state
+ * @return {*}           next state, sharing the unchanged branches of previous
+ */
+const shareStructure = (previous, next) => {
+  if (identical(previous, next)) return previous;
+
+  const nextType = type(next);
+  if (!contains(nextType, ['Object', 'Array']) || type(previous) !== nextType) return next;
+
+  const nextKeys = keys(next);
+  const shared = nextType === 'Array'
+    ? next.map((item, index) => shareStructure(previous[index], item))
+    : mapObjIndexed((value, key) => shareStructure(previous[key], value), next);
+
+  const isUnchanged = nextKeys.length === keys(previous).length
+    && all(key => has(key, previous) && identical(shared[key], previous[key]), nextKeys);
+
+  return isUnchanged ? previous : shared;
+};
+
+const REDUCER_OPTIONS = '@@cx-redux-utils/reducerOptions';
+const isReducerOptions = both(typeIs('Object'), has(REDUCER_OPTIONS));
+
+const ACTION_MATCHER = '@@cx-redux-utils/actionMatcher';
+const isActionMatcher = both(typeIs('Object'), has(ACTION_MATCHER));
+const CATCH_ALL = '*';
+
+/**
+ * Returns a function that finds the handler of an action: the handler of its
+ * exact type comes first, then that of the longest matching type prefix, then
+ * that of the first matching matcher, and last the catch-all handler
+ *
+ * @ignore
+ * @param  {Object}   actionMap  handlers by action type, type prefix ending in `*`,
+ *                               or `*` for every action
+ * @param  {Object[]} matchers   `{ matches, handler }` in order of precedence
+ * @return {Function}            takes an action and returns `{ key, handler }`, the
+ *                               key is that of the action map if any, or null when
+ *                               no handler matches
+ */
+const createHandlerLookup = (actionMap, matchers) => {
+  const prefixKeys = keys(actionMap)
+    .filter(key => key !== CATCH_ALL && key.endsWith(CATCH_ALL))
+    .sort((a, b) => b.length - a.length);
+
+  return action => {
+    const actionType = String(getPropOrEmptyString('type', action));
+    if (has(actionType, actionMap)) return { key: actionType, handler: actionMap[actionType] };
+
+    const prefixKey = find(key => actionType.startsWith(key.slice(0, -1)), prefixKeys);
+    if (!isNil(prefixKey)) return { key: prefixKey, handler: actionMap[prefixKey] };
+
+    const matcher = find(({ matches }) => matches(action), matchers);
+    if (!isNil(matcher)) return { handler: matcher.handler };
+
+    return has(CATCH_ALL, actionMap) ? { key: CATCH_ALL, handler: actionMap[CATCH_ALL] } : null;
+  };
+};
+
+/**
+ * Flattens a map of reducers, which may nest other maps, into a list of the
+ * reducers and the lenses they are mounted at
+ *
+ * @ignore
+ * @param  {Object}   reducers  reducers or maps of reducers by path
+ * @param  {Function} [outer]   lens of the map within state
+ * @return {Object[]}           `{ mountLens, reducer }` for each reducer
+ */
+const mountReducers = (reducers, outer = identity) => keys(reducers).reduce((mounted, key) => {
+  const value = reducers[key];
+
+  if (isTemplatePath(key)) { // eslint-disable-line no-use-before-define
+    throw new TypeError(`Reducers may not be mounted at the template path "${key}"`);
+  }
+
+  const mountLens = compose(outer, getLens(key)); // eslint-disable-line no-use-before-define
+
+  if (is(Function, value)) return [...mounted, { mountLens, reducer: value }];
+  if (type(value) === 'Object') return [...mounted, ...mountReducers(value, mountLens)];
+
+  throw new TypeError(`Reducer at "${key}" should be a function or a map of reducers`);
+}, []);
+
 /** @module reducers */
 
+/**
+ * Returns a merge strategy for arrays of records. Items in the handler
+ * result replace items in state that share the same value at `key`,
+ * remaining items are appended in order
+ *
+ * @see [tests]{@link module:test~unionBy}
+ * @param  {String}   key   name of the identifying property of each item
+ * @return {Function}       merge strategy with a (state, handlerResult) signature
+ *
+ * @example
+ * const unionByName = unionBy('name')
+ * unionByName([{ name: 'a', n: 1 }], [{ name: 'a', n: 2 }, { name: 'b', n: 1 }])
+ * //=> [{ name: 'a', n: 2 }, { name: 'b', n: 1 }]
+ */
+export const unionBy = key => whenBoth('Array', (state, handlerResult) => {
+  const incoming = new Map(handlerResult.map(item => [prop(key, item), item]));
+  const existing = new Set(state.map(prop(key)));
+  const updated = state.map(item => {
+    const id = prop(key, item);
+    return incoming.has(id) ? incoming.get(id) : item;
+  });
+
+  return concat(updated, handlerResult.filter(item => !existing.has(prop(key, item))));
+});
+
+/**
+ * Registry of merge strategies available to
+ * [createReducer]{@link module:reducers~createReducer} by name.
+ * Each strategy takes (state, handlerResult) and returns the next state.
+ * Strategies that only make sense for a given type replace state with
+ * the handler result when state and handler result are not of that type
+ *
+ * - `shallowMerge` merges objects one level deep, replaces anything else (default)
+ * - `deepMerge` recursively merges plain objects, replaces anything else
+ * - `replace` always returns the handler result
+ * - `concat` appends a handler result array to a state array
+ * - `unionById` replaces or appends records by their `id` property
+ * - `mergeMap` merges a handler result `Map` into a state `Map`
+ * - `mergeSet` adds the values of a handler result `Set` to a state `Set`
+ *
+ * @see [tests]{@link module:test~mergeStrategies}
+ * @type {Object}
+ */
+export const mergeStrategies = {
+  shallowMerge: applyHandlerByType,
+  deepMerge,
+  replace: secondArgument,
+  concat: whenBoth('Array', concat),
+  unionById: unionBy('id'),
+  mergeMap: whenBoth('Map', (state, handlerResult) => new Map([...state, ...handlerResult])),
+  mergeSet: whenBoth('Set', (state, handlerResult) => new Set([...state, ...handlerResult])),
+};
+
+/**
+ * Looks up a strategy name in the registry, or passes through a custom
+ * strategy function
+ *
+ * @ignore
+ * @param  {(String|Function)} strategy  registry name or strategy function
+ * @return {Function}                   strategy function
+ */
+const resolveStrategy = strategy => {
+  if (is(Function, strategy)) return strategy;
+  if (has(strategy, mergeStrategies)) return mergeStrategies[strategy];
+
+  throw new TypeError(`Unknown merge strategy "${strategy}"`);
+};
+
+/**
+ * Wraps an options object so that it may be passed to
+ * [createReducer]{@link module:reducers~createReducer} alongside action maps
+ *
+ * @function
+ * @see [tests]{@link module:test~createReducer}
+ * @param  {Object}             options
+ * @param  {(String|Function)}  [options.strategy]    name of a
+ *                                                    [merge strategy]{@link module:reducers~mergeStrategies}
+ *                                                    or a custom (state, handlerResult)
+ *                                                    function used for every action type
+ * @param  {Object}             [options.strategies]  map of action type to strategy name or
+ *                                                    function, overrides `strategy` per type
+ * @return {Object}                                   options recognized by createReducer
+ *
+ * @example
+ * const reducer = createReducer([], {
+ *   [ADD_TODOS]: getPayload,
+ *   [SAVE_TODOS]: getPayload,
+ * }, reducerOptions({
+ *   strategy: 'concat',
+ *   strategies: { [SAVE_TODOS]: 'unionById' },
+ * }))
+ */
+export const reducerOptions = objOf(REDUCER_OPTIONS);
+
+/**
+ * Wraps a handler so that it may be passed to
+ * [createReducer]{@link module:reducers~createReducer} alongside action maps,
+ * to handle every action whose type matches a regular expression, or every
+ * action a predicate is true for.
+ *
+ * An action is handled by one handler only: the one for its exact type in an
+ * action map, else the one for the longest type prefix ending in `*`, else the
+ * first matching one passed with `matchAction`, else the catch-all one at `*`
+ *
+ * @function
+ * @see [tests]{@link module:test~createReducer}
+ * @param  {(RegExp|Function)} pattern  tested against the action type, ignoring the
+ *                                      `g` and `y` flags, or a predicate that takes
+ *                                      the action
+ * @param  {Function}          handler  action handler with a (state, action) signature
+ * @return {Object}                     matcher recognized by createReducer
+ *
+ * @example
+ * const reducer = createReducer({ loading: false, patients: [] }, {
+ *   [LOAD_PATIENTS]: () => ({ loading: true }),
+ *   '@@/patients/*': (state, { payload }) => ({ patients: payload }),
+ *   '*': state => state,
+ * }, matchAction(/\/SUCCESS$/, () => ({ loading: false })),
+ *   matchAction(isErrorAction, () => ({ loading: false })))
+ */
+export const matchAction = (pattern, handler) => {
+  if (!is(RegExp, pattern) && !is(Function, pattern)) {
+    throw new TypeError('Action patterns should be regular expressions or functions');
+  }
+
+  // without the g and y flags, test keeps no lastIndex between actions
+  const regExp = is(RegExp, pattern) && new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  const matches = regExp ? action => regExp.test(getPropOrEmptyString('type', action)) : pattern;
+
+  return objOf(ACTION_MATCHER, { matches, handler });
+};
+
 /**
  * Given a list of one or more action map objects, return a reducer function
  * to satisfy the reducer signature expected by redux core
@@ -89,9 +425,19 @@ const applyHandlerByType = cond([
  * @param  {...Object}  actionMap     objects in which each key is an action
  *                                    types, and its value is an action handler
  *                                    functions that takes (state, action) as
- *                                    ordered arguments
+ *                                    ordered arguments. A key ending in `*` is a
+ *                                    type prefix, and the `*` key alone handles
+ *                                    any action no other handler matches. Any
+ *                                    argument created by
+ *                                    [reducerOptions]{@link module:reducers~reducerOptions}
+ *                                    configures the reducer instead, and any created
+ *                                    by [matchAction]{@link module:reducers~matchAction}
+ *                                    adds a handler for matching actions
  * @return {Function}                 A reducer function that handles each action
- *                                    type specified as a key in its action map
+ *                                    type specified as a key in its action map.
+ *                                    Branches of state that a handler leaves
+ *                                    equal keep their reference, and state is
+ *                                    returned as is when nothing changed
  *
  * @example
  * const defaultState = {
@@ -130,14 +476,31 @@ const applyHandlerByType = cond([
  * reducer({}, succumbToBeast({ lastWords: 'tell my mom...' }))
  * //=> { people: 0, beasts: 1, lastWords: 'tell my mom...' }
  */
-export function createReducer(defaultState, ...actionMaps) {
+export function createReducer(defaultState, ...args) {
+  const [optionsList, handlerArgs] = partition(isReducerOptions, args);
+  const [matchers, actionMaps] = partition(isActionMatcher, handlerArgs);
+  const {
+    strategy = 'shallowMerge',
+    strategies = {},
+  } = mergeAll(map(prop(REDUCER_OPTIONS), optionsList));
+
   const actionMap = mergeAll(actionMaps);
+  const findHandler = createHandlerLookup(actionMap, map(prop(ACTION_MATCHER), matchers));
+  const defaultStrategy = resolveStrategy(strategy);
+  const strategiesByType = map(resolveStrategy, strategies);
 
   return (state = defaultState, action) => {
-    const actionType = getPropOrEmptyString('type', action);
-    const actionTypeHandler = getPropOrEmptyObjectFunction(actionType, actionMap);
+    const found = findHandler(action);
+    if (isNil(found)) return state;
+
+    const applyStrategy = isNil(found.key)
+      ? defaultStrategy
+      : propOr(defaultStrategy, found.key, strategiesByType);
 
-    return applyHandlerByType(state, actionTypeHandler(state, action));
+    const result = found.handler(state, action);
+    if (result === undefined && process.env.NODE_ENV !== 'production') warnUndefinedHandler(action);
+
+    return shareStructure(state, applyStrategy(state, result));
   };
 }
 
@@ -177,8 +540,232 @@ export function reduceReducers(...reducers) {
     reducers.reduce((p, r) => r(p, current), previous);
 }
 
+/**
+ * Creates a single reducer from a map of reducers, each mounted at the slice of
+ * state at its key. Keys may be paths in the syntax of
+ * [getLens]{@link module:lenses~getLens}, and values may be maps of reducers
+ * that mount at paths within the slice of their key.
+ *
+ * Each reducer gets its slice of state and returns the next one. Keys of state
+ * with no reducer are kept, and state is returned as is when no slice changed,
+ * so the result may be combined with other reducers by
+ * [reduceReducers]{@link module:reducers~reduceReducers}
+ *
+ * @see [tests]{@link module:test~combineReducers}
+ * @param  {Object}   reducers  reducers, or maps of reducers, by path
+ * @return {Function}           combined reducer
+ * @throws {TypeError}          for a value that is not a reducer or a map, or a
+ *                              key that is a template path
+ *
+ * @example
+ * const reducer = reduceReducers(
+ *   combineReducers({
+ *     'patients.current': currentPatientReducer,
+ *     ui: {
+ *       modal: modalReducer,
+ *       'filters.visits': visitFiltersReducer,
+ *     },
+ *   }),
+ *   crossSliceReducer,
+ * )
+ *
+ * reducer({ version: 2 }, { type: '@@/init' })
+ * //=> {
+ * //  version: 2,
+ * //  patients: { current: null },
+ * //  ui: { modal: { open: false }, filters: { visits: [] } },
+ * //}
+ */
+export function combineReducers(reducers) {
+  const mounted = mountReducers(reducers);
+
+  return (state = {}, action) => mounted.reduce((result, { mountLens, reducer }) => {
+    const previous = view(mountLens, result);
+    const next = reducer(previous, action);
+
+    return identical(previous, next) ? result : set(mountLens, next, result);
+  }, state);
+}
+
+const actionConfig = {
+  fsa: false,
+  onInvalidPayload: 'throw',
+  metaEnricher: null,
+};
+
+/**
+ * Per creator options take precedence over the options set with
+ * [configureActions]{@link module:actions~configureActions}
+ *
+ * @ignore
+ * @param  {String}   key        name of the option
+ * @param  {Object}   [options]  action creator options
+ * @return {*}                   value of the option
+ */
+const getActionOption = (key, options = {}) =>
+  (isNil(options[key]) ? actionConfig[key] : options[key]);
+
+const isFSAMode = options => getActionOption('fsa', options);
+
+/**
+ * Passes the meta of an action through the configured meta enricher, if any
+ *
+ * @ignore
+ * @param  {String} creator     name of the action creator
+ * @param  {String} actionType  type string for action
+ * @param  {*}      meta        data to describe the payload
+ * @param  {Object} [options]   action creator options
+ * @return {*}                  enriched meta
+ */
+const enrichMeta = (creator, actionType, meta, options = {}) => {
+  const enricher = getActionOption('metaEnricher', options);
+  if (isNil(enricher)) return meta;
+
+  return enricher({ type: actionType, creator: options.name || creator, meta: orEmptyObject(meta) });
+};
+
+const shouldValidatePayload = ({ schema } = {}) =>
+  !isNil(schema) && process.env.NODE_ENV !== 'production';
+
+const DEFAULT_ERROR_MESSAGE = 'An error occurred';
+
+/**
+ * Returns the payload of an FSA error action. An existing Error is used as is,
+ * unless a different message is given, in which case an Error with the message
+ * is created and the existing one kept as its `cause`. Otherwise an Error with
+ * the message is created and any payload is kept as its `data` property
+ *
+ * @ignore
+ * @param  {String} [message]  description of the error
+ * @param  {*}      payload    data relevant to error
+ * @return {Error}             error payload
+ */
+const toErrorPayload = (message, payload) => {
+  if (is(Error, payload) && (isNil(message) || message === payload.message)) return payload;
+
+  const error = new Error(defaultTo(DEFAULT_ERROR_MESSAGE, message));
+  if (is(Error, payload)) {
+    error.cause = payload;
+  } else if (!isNil(payload)) {
+    error.data = payload;
+  }
+  return error;
+};
+
 /** @module actions */
 
+/**
+ * Sets app wide options for every action creator, options given to a single
+ * creator take precedence
+ *
+ * @function
+ * @see [tests]{@link module:test~configureActions}
+ * @param  {Object}   options
+ * @param  {Boolean}  [options.fsa]               when true, actions are
+ *                                                [Flux Standard Actions]{@link https://github.com/acdlite/flux-standard-action}:
+ *                                                nil payload and meta keys are left off, and
+ *                                                error actions carry an Error as payload
+ *                                                instead of a top level message. An Error
+ *                                                given as payload with a different message
+ *                                                than the creator's is kept as the `cause`
+ *                                                of an Error with the creator's message
+ * @param  {String}   [options.onInvalidPayload]  what an action creator given a `schema` does
+ *                                                with a payload that does not match it, outside
+ *                                                of production: `'throw'` a TypeError (default),
+ *                                                `'log'` the problems and create the action anyway,
+ *                                                or create an `'error'` action of the type suffixed
+ *                                                with `/INVALID`, or the creator's `invalidType`
+ * @param  {Function} [options.metaEnricher]      takes `{ type, creator, meta }` and returns the
+ *                                                meta of each action made by an action, thunk or
+ *                                                error creator, see
+ *                                                [createMetaEnricher]{@link module:actions~createMetaEnricher}
+ * @return {Object}                               the resulting app wide options
+ *
+ * @example
+ * configureActions({ fsa: true })
+ *
+ * createErrorAction('@@/actionTypes/oops', 'it broke')()
+ * //=> { type: '@@/actionTypes/oops', error: true, payload: Error('it broke') }
+ */
+export const configureActions = options => ({ ...Object.assign(actionConfig, options) });
+
+/**
+ * Creates a meta enricher for the `metaEnricher` option of
+ * [configureActions]{@link module:actions~configureActions}, which stamps the meta
+ * of every action with:
+ *
+ * - `timestamp`, from the given clock
+ * - `sequence`, a number that grows by one with each action
+ * - `correlationId`, kept from the given meta so that actions created with the
+ *   meta of a parent thunk share it, or a new one
+ * - `creator`, the name of the action creator, such as `'createThunk'`
+ *
+ * Thunks made by this library use one correlation id for every action they
+ * dispatch, see [correlate]{@link module:actions~correlate}
+ *
+ * @function
+ * @see [tests]{@link module:test~createMetaEnricher}
+ * @param  {Object}   [options]
+ * @param  {Function} [options.now]       clock, defaults to `Date.now`
+ * @param  {Function} [options.createId]  returns a new correlation id, defaults to
+ *                                        ids made of the time and a counter
+ * @return {Function}                     meta enricher
+ *
+ * @example
+ * configureActions({ metaEnricher: createMetaEnricher() })
+ *
+ * const loadPatients = (payload, meta) => dispatch => {
+ *   dispatch(requestPatients(payload, meta))
+ *   return api.getPatients().then(patients => dispatch(receivePatients(patients, meta)))
+ * }
+ *
+ * dispatch(loadPatients({ page: 1 }, correlate()))
+ * // both actions have a meta like
+ * // { timestamp: 1472601600000, sequence: 12, correlationId: 'isqk9zk0.3', creator: 'createAction' }
+ */
+export const createMetaEnricher = ({ now = Date.now, createId } = {}) => {
+  let sequence = 0;
+  let correlations = 0;
+
+  const createCorrelationId = createId || (() => {
+    correlations += 1;
+    return `${now().toString(36)}.${correlations}`;
+  });
+
+  const enricher = ({ creator, meta }) => {
+    sequence += 1;
+
+    return {
+      ...meta,
+      timestamp: now(),
+      sequence,
+      correlationId: meta.correlationId || createCorrelationId(),
+      creator,
+    };
+  };
+
+  return Object.assign(enricher, { createCorrelationId });
+};
+
+/**
+ * Returns the given meta with a correlation id, a new one unless it already has
+ * one, when the configured meta enricher was made by
+ * [createMetaEnricher]{@link module:actions~createMetaEnricher}. Otherwise the
+ * meta is returned as is. Pass the result on as the meta of every action and
+ * thunk a thunk dispatches to correlate them
+ *
+ * @function
+ * @see [tests]{@link module:test~createMetaEnricher}
+ * @param  {Object} [meta]  data to describe the payload
+ * @return {Object}         meta with a correlation id
+ */
+export const correlate = meta => {
+  const createCorrelationId = path(['metaEnricher', 'createCorrelationId'], actionConfig);
+  if (isNil(createCorrelationId) || has('correlationId', orEmptyObject(meta))) return meta;
+
+  return { ...meta, correlationId: createCorrelationId() };
+};
+
 /**
  * Takes a type, optional message, optional payload value, and an optional meta value
  * and returns a standard redux action object descriptive of a redux action
@@ -187,37 +774,128 @@ export function reduceReducers(...reducers) {
  * @param   {String}  actionType  type string for action
  * @param   {*}       [payload]   data relevant to error
  * @param   {*}       [meta]      data to describe the payload
+ * @param   {Object}  [options]   action options, see
+ *                                [configureActions]{@link module:actions~configureActions}
  * @returns {Object}              standard action object
  */
-export const returnActionResult = (actionType, payload = {}, meta = {}) => ({
-  type: actionType,
-  payload: orEmptyObject(payload),
-  meta: orEmptyObject(meta),
-});
+export const returnActionResult = (actionType, payload, meta, options) => (
+  isFSAMode(options)
+    ? reject(isNil, { type: actionType, payload, meta })
+    : {
+      type: actionType,
+      payload: orEmptyObject(payload),
+      meta: orEmptyObject(meta),
+    }
+);
+
+/**
+ * Reacts to a payload that does not match the schema of its action creator
+ * according to the `onInvalidPayload` option. Error actions are made by
+ * [createErrorAction]{@link module:actions~createErrorAction} with the
+ * `invalidType` option, so the handler of the action type never sees them
+ *
+ * @ignore
+ * @param  {String}   actionType  type string for action
+ * @param  {*}        payload     invalid payload
+ * @param  {*}        meta        data to describe the payload
+ * @param  {Object}   options     action creator options
+ * @param  {String[]} errors      validation error messages
+ * @return {Object}               action or error action
+ */
+const reactToInvalidPayload = (actionType, payload, meta, options = {}, errors) => {
+  const message = `Invalid payload for ${actionType}: ${errors.join(', ')}`;
+  const reaction = getActionOption('onInvalidPayload', options);
+  const name = options.name || 'createAction';
+
+  if (reaction === 'error') {
+    const invalidType = options.invalidType || `${actionType}/INVALID`;
+    const createInvalidAction = createErrorAction(invalidType, message, { ...options, name }); // eslint-disable-line no-use-before-define
+
+    return createInvalidAction({ payload, errors }, meta);
+  }
+
+  if (reaction === 'log') {
+    console.error(message); // eslint-disable-line no-console
+    return returnActionResult(actionType, payload, enrichMeta(name, actionType, meta, options), options);
+  }
+
+  const error = new TypeError(message);
+  error.errors = errors;
+  throw error;
+};
 
 /**
  * Given the specified type, return a function that creates an object with a
  * specified type, and assign its arguments to a payload object
  *
+ * When given a `schema` option, payloads are validated with
+ * [validatePayload]{@link module:schema~validatePayload} outside of production,
+ * see the `onInvalidPayload` option of
+ * [configureActions]{@link module:actions~configureActions}
+ *
  * @function
  * @see [tests]{@link module:test~createAction}
- * @param  {String} type      redux action type name
- * @return {actionCreator}    [Action creator]{@link module:actions~actionCreator}
- *                            function that applys a payload and returns an object
- *                            of the given action type with the given payload
+ * @param  {String} type                        redux action type name
+ * @param  {Object} [options]                   action options, see
+ *                                              [configureActions]{@link module:actions~configureActions}
+ * @param  {Schema} [options.schema]            [schema]{@link module:schema~Schema} the
+ *                                              payload must match
+ * @param  {String} [options.onInvalidPayload]  overrides the app wide reaction to an invalid payload
+ * @param  {String} [options.invalidType]       type of the error action made for an invalid
+ *                                              payload, defaults to the type suffixed with `/INVALID`
+ * @param  {String} [options.name]              name recorded as `creator` by a meta enricher,
+ *                                              defaults to the name of the creator function
+ * @return {actionCreator}                      [Action creator]{@link module:actions~actionCreator}
+ *                                              function that applys a payload and returns an object
+ *                                              of the given action type with the given payload
  *
  * @example
  * const BEGIN_GOOD_TIMES = '@@/actionTypes/gootTimes'
  * const beginGoodTimes = createAction(BEGIN_GOOD_TIMES);
+ *
+ * const beginGoodTimesChecked = createAction(BEGIN_GOOD_TIMES, {
+ *   schema: { soundTrack: { type: 'String', required: true } },
+ *   onInvalidPayload: 'error',
+ * })
+ *
+ * beginGoodTimesChecked({ soundTrack: 7 })
+ * //=> {
+ * //  type: '@@/actionTypes/gootTimes/INVALID',
+ * //  error: true,
+ * //  message: 'Invalid payload for @@/actionTypes/gootTimes: payload.soundTrack should be...',
+ * //  payload: { payload: { soundTrack: 7 }, errors: [...] },
+ * //  meta: {},
+ * //}
  */
-export const createAction = actionType =>
-  (payload, meta) => returnActionResult(actionType, payload, meta);
+export const createAction = (actionType, options) => (payload, meta) => {
+  const errors = shouldValidatePayload(options) ? validatePayload(options.schema, payload) : [];
 
-export const createThunk = actionType =>
-  (payload, meta) => dispatch =>
-    Promise.resolve(dispatch(
-      returnActionResult(actionType, payload, meta)
-    ));
+  return isEmpty(errors)
+    ? returnActionResult(actionType, payload, enrichMeta('createAction', actionType, meta, options), options)
+    : reactToInvalidPayload(actionType, payload, meta, options, errors);
+};
+
+/**
+ * Like [createAction]{@link module:actions~createAction}, but returns a thunk
+ * that dispatches the action and resolves with the result of dispatch. If an
+ * invalid payload results in an error action, the promise is rejected instead
+ *
+ * @function
+ * @see [tests]{@link module:test~createThunk}
+ * @param  {String} type      redux action type name
+ * @param  {Object} [options] same as [createAction]{@link module:actions~createAction}
+ * @return {Function}         function that takes (payload, meta) and returns a thunk
+ */
+export const createThunk = (actionType, options) => {
+  const actionCreator = createAction(actionType, { name: 'createThunk', ...options });
+
+  return (payload, meta) => dispatch => {
+    const action = actionCreator(payload, meta);
+    const dispatched = dispatch(action);
+
+    return action.error ? Promise.reject(dispatched) : Promise.resolve(dispatched);
+  };
+};
 
 /**
  * Given any string key name, returns a function that takes a state and action and
@@ -315,16 +993,27 @@ export const getPayload = compose(prop('payload'), nthArg(1));
  * @param   {String}  [message]   description of the error
  * @param   {*}       [payload]   data relevant to error
  * @param   {*}       [meta]      data to describe the payload
+ * @param   {Object}  [options]   action options, see
+ *                                [configureActions]{@link module:actions~configureActions}
  * @returns {Object}              standard action object
  */
 export const returnErrorResult =
-  (actionType, message = 'An error occurred', payload = {}, meta = {}) => ({
-    type: actionType,
-    error: true,
-    message,
-    payload: orEmptyObject(payload),
-    meta: orEmptyObject(meta),
-  });
+  (actionType, message, payload, meta, options) => (
+    isFSAMode(options)
+      ? reject(isNil, {
+        type: actionType,
+        error: true,
+        payload: toErrorPayload(message, payload),
+        meta,
+      })
+      : {
+        type: actionType,
+        error: true,
+        message: message === undefined ? DEFAULT_ERROR_MESSAGE : message,
+        payload: orEmptyObject(payload),
+        meta: orEmptyObject(meta),
+      }
+  );
 
 /**
  * Given the specified type, and an optional custom error message, return a function
@@ -336,6 +1025,8 @@ export const returnErrorResult =
  * @param  {String} type        redux action type name
  * @param  {String} [message]   a messge that describes the error, if none is given a
  *                            	generic message will be used
+ * @param  {Object} [options]   action options, see
+ *                              [configureActions]{@link module:actions~configureActions}
  * @return {errorActionCreator} [Action creator]{@link module:actions~actionCreator}
  *                              function that applys a payload and returns an object
  *                              of the given action type with the given payload
@@ -344,13 +1035,19 @@ export const returnErrorResult =
  * const BEGIN_GOOD_TIMES = '@@/actionTypes/gootTimes'
  * const beginGoodTimes = createAction(BEGIN_GOOD_TIMES);
  */
-export const createErrorAction = (actionType, message) =>
-  (payload, meta) => returnErrorResult(actionType, message, payload, meta);
+export const createErrorAction = (actionType, message, options) =>
+  (payload, meta) => returnErrorResult(
+    actionType,
+    message,
+    payload,
+    enrichMeta('createErrorAction', actionType, meta, options),
+    options,
+  );
 
-export const createErrorThunk = (actionType, message) =>
+export const createErrorThunk = (actionType, message, options) =>
   (payload, meta) => dispatch =>
     Promise.reject(dispatch(
-      returnErrorResult(actionType, message, payload, meta)
+      createErrorAction(actionType, message, { name: 'createErrorThunk', ...options })(payload, meta)
     ));
 
 /**
@@ -405,18 +1102,327 @@ export const actionTypeIs = curry(
   (action, actionType) => compose(equals(actionType), path(['type']))(action)
 );
 
+const fsaKeys = ['type', 'payload', 'error', 'meta'];
+
+/**
+ * Returns true if the given value is a
+ * [Flux Standard Action]{@link https://github.com/acdlite/flux-standard-action}:
+ * a plain object with a string type, and no keys other than
+ * `type`, `payload`, `error` and `meta`
+ *
+ * @function
+ * @see [tests]{@link module:test~isFSA}
+ * @param  {*}       action  value to check
+ * @return {Boolean}         true if action is a Flux Standard Action
+ *
+ * @example
+ * isFSA({ type: 'test', payload: 1 })
+ * //=> true
+ *
+ * isFSA({ type: 'test', error: true, message: 'it broke' })
+ * //=> false
+ */
+export const isFSA = allPass([
+  typeIs('Object'),
+  compose(typeIs('String'), prop('type')),
+  compose(all(flip(contains)(fsaKeys)), keys),
+]);
+
+const WILDCARD = '*';
+
+const isKeySegment = either(
+  both(is(String), complement(equals(WILDCARD))),
+  both(Number.isInteger, gte(__, 0)),
+);
+
+/**
+ * Turns a predicate segment into a predicate, an object segment matches
+ * elements with equal values for each of its keys
+ *
+ * @ignore
+ * @param  {(Function|Object)} segment  predicate or object to match
+ * @return {Function}                   predicate with an (element) signature
+ */
+const toMatcher = ifElse(is(Function), identity, whereEq);
+
+/**
+ * Finds the index of the element a segment focuses on in an array, negative
+ * indexes count from the end
+ *
+ * @ignore
+ * @param  {(Number|Function|Object)} segment  index or predicate segment
+ * @param  {Array}                    list     array to search
+ * @return {Number}                            index of the element, -1 if none
+ */
+const indexOfSegment = (segment, list) => {
+  if (!is(Number, segment)) return findIndex(toMatcher(segment), list);
+
+  const index = segment < 0 ? list.length + segment : segment;
+  return index >= 0 ? index : -1;
+};
+
+/**
+ * Reads the value at a path of segments, a wildcard segment reads the value
+ * at the rest of the path for every element
+ *
+ * @ignore
+ * @param  {Array} segments  path segments
+ * @param  {*}     target    value to read from
+ * @return {*}               value at the path
+ */
+const viewSegments = (segments, target) => {
+  if (!segments.length) return target;
+  if (isNil(target)) return undefined;
+
+  const [segment, ...rest] = segments;
+  const elements = is(Array, target) ? target : values(target);
+
+  if (segment === WILDCARD) return elements.map(element => viewSegments(rest, element));
+  if (isKeySegment(segment)) return viewSegments(rest, target[segment]);
+  if (!is(Array, target)) return undefined;
+
+  return viewSegments(rest, target[indexOfSegment(segment, target)]);
+};
+
+/**
+ * Sets the value at a path of segments, a wildcard segment sets the value at
+ * the rest of the path for every element. Predicate and negative index
+ * segments that focus on no element, and values that are already set, leave
+ * the target as is
+ *
+ * @ignore
+ * @param  {Array} segments  path segments
+ * @param  {*}     value     value to set
+ * @param  {*}     target    value to copy with the new value
+ * @return {*}               copy of the target
+ */
+const setSegments = (segments, value, target) => {
+  if (!segments.length) return value;
+
+  const [segment, ...rest] = segments;
+
+  if (segment === WILDCARD) {
+    if (is(Array, target)) return target.map(element => setSegments(rest, value, element));
+    return is(Object, target) ? map(element => setSegments(rest, value, element), target) : target;
+  }
+
+  if (isKeySegment(segment)) {
+    const current = isNil(target) ? undefined : target[segment];
+    const next = setSegments(rest, value, current);
+
+    if (identical(next, current)) return target;
+    if (!is(Array, target)) return assoc(segment, next, defaultTo({}, target));
+
+    const copy = [...target];
+    copy[segment] = next;
+    return copy;
+  }
+
+  if (!is(Array, target)) return target;
+
+  const index = indexOfSegment(segment, target);
+  if (index === -1) return target;
+
+  const next = setSegments(rest, value, target[index]);
+  return identical(next, target[index]) ? target : update(index, next, target);
+};
+
+const PATH_PARAM = '@@cx-redux-utils/pathParam';
+const PATH_KEY = /^[^.[\]]+/;
+const PATH_BRACKET = /^\[(-?\d+|\*|'[^']*'|"[^"]*")\]/;
+const PATH_SYNTAX = /[.[\]]|^:/;
+
+const PATH_INDEX = /^(0|[1-9]\d*)$/;
+const PATH_CACHE_SIZE = 500;
+
+const parsedPaths = new Map();
+const isParam = both(is(Object), has(PATH_PARAM));
+
+/**
+ * Turns the key of a path string into a segment, keys starting with `:` are
+ * template params and keys of digits are indexes, so that setting
+ * `'visits.0.provider'` keeps `visits` an array
+ *
+ * @ignore
+ * @param  {String} key  key of a path string
+ * @return {*}           path segment
+ */
+const toKeySegment = cond([
+  [key => key[0] === ':', key => ({ [PATH_PARAM]: key.slice(1) })],
+  [test(PATH_INDEX), Number],
+  [T, identity],
+]);
+
+/**
+ * Caches the segments of a parsed path, forgetting the least recently used
+ * path once `PATH_CACHE_SIZE` paths are cached
+ *
+ * @ignore
+ * @param  {String} propPath  path string
+ * @param  {Array}  segments  path segments
+ * @return {Array}            path segments
+ */
+const cachePath = (propPath, segments) => {
+  parsedPaths.delete(propPath);
+  if (parsedPaths.size >= PATH_CACHE_SIZE) parsedPaths.delete(parsedPaths.keys().next().value);
+
+  parsedPaths.set(propPath, segments);
+  return segments;
+};
+
+/**
+ * Turns the content of brackets in a path string into a segment: an index,
+ * a wildcard, or a quoted key
+ *
+ * @ignore
+ * @param  {String} content  text between the brackets
+ * @return {*}               path segment
+ */
+const toBracketSegment = content => cond([
+  [equals(WILDCARD), identity],
+  [test(/^-?\d+$/), Number],
+  [T, slice(1, -1)],
+])(content);
+
+/**
+ * Parses a path string such as `'visits[0].provider'` into path segments,
+ * strings without dots, brackets or a leading `:` are a single key. Results of
+ * the most recently used paths are cached
+ *
+ * @ignore
+ * @param  {String}   propPath  path string
+ * @return {Array}              path segments
+ * @throws {TypeError}          when the path is malformed
+ */
+const parsePath = propPath => {
+  if (!PATH_SYNTAX.test(propPath)) return [propPath];
+  if (parsedPaths.has(propPath)) return cachePath(propPath, parsedPaths.get(propPath));
+
+  const segments = [];
+  let position = 0;
+
+  while (position < propPath.length) {
+    const rest = propPath.slice(position);
+    const bracket = PATH_BRACKET.exec(rest);
+    const key = position === 0 || rest[0] === '.'
+      ? PATH_KEY.exec(position === 0 ? rest : rest.slice(1))
+      : null;
+
+    if (bracket) {
+      segments.push(toBracketSegment(bracket[1]));
+      position += bracket[0].length;
+    } else if (key) {
+      segments.push(toKeySegment(key[0]));
+      position += key[0].length + (position === 0 ? 0 : 1);
+    } else {
+      throw new TypeError(`Malformed path "${propPath}" at position ${position}`);
+    }
+  }
+
+  return cachePath(propPath, segments);
+};
+
+const toSegments = ifElse(is(String), parsePath, ifElse(isArrayLike, identity, of));
+
+/**
+ * Replaces the params of template path segments with their values
+ *
+ * @ignore
+ * @param  {String} propPath  template path, named in errors
+ * @param  {Array}  segments  path segments
+ * @param  {Object} params    value of each param by name
+ * @return {Array}            path segments
+ * @throws {TypeError}        when a param has no value
+ */
+const fillParams = (propPath, segments, params = {}) => segments.map(segment => {
+  if (!isParam(segment)) return segment;
+
+  const name = segment[PATH_PARAM];
+  if (isNil(params[name])) {
+    throw new TypeError(`Missing param "${name}" for path "${propPath}"`);
+  }
+
+  return params[name];
+});
+
+/**
+ * Builds the lens for a list of path segments, paths of property names use
+ * ramda's lensPath, others keep arrays as arrays when setting an index
+ *
+ * @ignore
+ * @param  {Array}    segments  path segments
+ * @return {Function}           lens
+ */
+const segmentsLens = segments => {
+  if (all(both(is(String), isKeySegment), segments)) return lensPath(segments);
+
+  return lens(target => viewSegments(segments, target), (value, target) =>
+    setSegments(segments, value, target));
+};
+
 /** @module lenses */
 
+/**
+ * Returns true for a path string holding `:param` keys, for which
+ * [getLens]{@link module:lenses~getLens} returns a lens factory rather than a lens
+ *
+ * @function
+ * @see [tests]{@link module:test~getLens}
+ * @param  {(String|Array)} propPath  path
+ * @return {Boolean}
+ *
+ * @example
+ * isTemplatePath('entities.byId.:id') //=> true
+ * isTemplatePath('entities.byId[3]') //=> false
+ */
+export const isTemplatePath = propPath =>
+  is(String, propPath) && any(isParam, parsePath(propPath));
+
+/**
+ * Returns the segments of a path as [getLens]{@link module:lenses~getLens} reads
+ * them: path strings are parsed, path arrays returned as they are, and anything
+ * else is a single segment. The params of a template path are left as
+ * placeholder segments, see [isTemplatePath]{@link module:lenses~isTemplatePath}
+ *
+ * @function
+ * @see [tests]{@link module:test~getLens}
+ * @param  {(String|Array)} propPath  path
+ * @return {Array}                    path segments
+ * @throws {TypeError}                when a path string is malformed
+ *
+ * @example
+ * pathSegments('visits[*].dob') //=> ['visits', '*', 'dob']
+ * pathSegments('orders.0.status') //=> ['orders', 0, 'status']
+ */
+export const pathSegments = propPath => toSegments(propPath);
+
 /**
  * Wraps ramda's [lensProp]{@link http://ramdajs.com/0.21.0/docs/#lensProp} and
  * [lensPath]{@link http://ramdajs.com/0.21.0/docs/#lensPath} to return a lens
  * that focuses on a top level property if passed a string, and a deep property
- * if passed an array of strings for propPath
+ * if passed an array for propPath.
+ *
+ * Besides property names and array indexes, a path array may hold:
+ *
+ * - negative indexes, counting from the end of an array
+ * - `'*'`, focusing on every element of an array (or value of an object), viewed
+ *   as a list
+ * - a predicate, or an object whose values an element must equal, focusing on
+ *   the first element of an array that matches
+ *
+ * A string may also be a deep path, with dot separated keys (digits being
+ * indexes) and brackets holding an index, `*` or a quoted key, such as
+ * `'visits[0].provider'`, `'visits.0.provider'` or
+ * `'orders[-1].items[*].sku'`. Keys starting with `:` are params of a template,
+ * such as `'entities.byId.:id'`, for which a function taking the value of each
+ * param by name and returning the lens is returned instead. Parsed path strings
+ * are cached, malformed ones throw a TypeError naming the path
  *
  * @function
  * @see [tests]{@link module:test~getLens}
- * @param  {(String|String[])} path an array for deep prop, or string for top level
- * @return {Function}
+ * @param  {(String|Array)} path an array for deep prop, or string for top level or
+ *                               a deep path
+ * @return {Function}            lens, or lens factory for a template path
  *
  * @example
  * import { view, set } from 'ramda'
@@ -429,23 +1435,157 @@ export const actionTypeIs = curry(
  * const nestedObj = { a: { b: { c: 'I am bored' } } }
  * set(cLens, 'it is party time', nestedObj)
  * //=> { a: { b: { c: 'it is party time' } } }
+ *
+ * const orders = { orders: [{ id: 7, status: 'new' }, { id: 8, status: 'new' }] }
+ * set(getLens(['orders', { id: 7 }, 'status']), 'shipped', orders)
+ * //=> { orders: [{ id: 7, status: 'shipped' }, { id: 8, status: 'new' }] }
+ *
+ * view(getLens(['orders', '*', 'id']), orders) //=> [7, 8]
+ * view(getLens(['orders', -1, 'id']), orders) //=> 8
+ * view(getLens('orders[-1].id'), orders) //=> 8
+ *
+ * const patientLens = getLens('entities.byId.:id')
+ * view(patientLens({ id: 3 }), state) //=> state.entities.byId[3]
  */
-export const getLens = ifElse(isArrayLike, lensPath, compose(lensPath, of));
+export const getLens = propPath => {
+  const segments = toSegments(propPath);
+  if (!isTemplatePath(propPath)) return segmentsLens(segments);
+
+  return params => segmentsLens(fillParams(propPath, segments, params));
+};
 
 /**
- * Create a [memoized]{@link https://en.wikipedia.org/wiki/Memoization} function
- * that finds and returns specified property of an object. Uses ramda
- * [lensPath]{@link http://ramdajs.com/0.21.0/docs/#lensPath},
+ * Applies a function to the lens of a path, or for a template path returns a
+ * factory taking params that does
+ *
+ * @ignore
+ * @param  {Function}       fromLens  takes a lens
+ * @param  {(String|Array)} propPath  path, see [getLens]{@link module:lenses~getLens}
+ * @return {*}                        result of fromLens, or a factory of it
+ */
+const withPathLens = curry((fromLens, propPath) => (
+  isTemplatePath(propPath)
+    ? params => fromLens(getLens(propPath)(params))
+    : fromLens(getLens(propPath))
+));
+
+const pathSelector = withPathLens(view);
+const toInputSelector = cond([
+  [is(Function), identity],
+  [isTemplatePath, propPath => (state, params) => pathSelector(propPath)(params)(state)],
+  [T, pathSelector],
+]);
+
+/**
+ * Wraps a combiner function in a selector that calls each input selector with
+ * its arguments and only calls the combiner when one of their results differs
+ * by reference from a cached call. The `cacheSize` most recently used results
+ * are kept
+ *
+ * @ignore
+ * @param  {Function[]} inputSelectors  functions with a (state, ...args) signature
+ * @param  {Function}   combiner        takes each input selector's result in order
+ * @param  {Number}     cacheSize       number of results to keep
+ * @return {Function}                   memoized selector
+ */
+const memoizeCombiner = (inputSelectors, combiner, cacheSize) => {
+  let cache = [];
+  let hits = 0;
+  let misses = 0;
+
+  const selector = (...args) => {
+    const inputs = inputSelectors.map(input => input(...args));
+    const index = findIndex(
+      entry => entry.inputs.every((value, i) => identical(value, inputs[i])),
+      cache,
+    );
+
+    if (index > -1) {
+      const entry = cache[index];
+      hits += 1;
+      cache = [entry, ...remove(index, 1, cache)];
+      return entry.result;
+    }
+
+    const result = combiner(...inputs);
+    misses += 1;
+    cache = take(cacheSize, [{ inputs, result }, ...cache]);
+    return result;
+  };
+
+  return Object.assign(selector, {
+    getStats: () => ({ hits, misses, size: cache.length }),
+    clearCache: () => {
+      cache = [];
+      hits = 0;
+      misses = 0;
+    },
+  });
+};
+
+/**
+ * Returns a [createSelector]{@link module:lenses~createSelector} function whose
+ * composed selectors keep the given number of results in their cache
+ *
+ * @function
+ * @see [tests]{@link module:test~createSelectorCreator}
+ * @param  {Object} [options]
+ * @param  {Number} [options.cacheSize=1]   number of results each composed selector keeps
+ * @return {Function}                       createSelector function
+ *
+ * @example
+ * const createListSelector = createSelectorCreator({ cacheSize: 10 })
+ * const getPage = createListSelector('items', (state, page) => page, paginate)
+ */
+export const createSelectorCreator = ({ cacheSize = 1 } = {}) => {
+  if (!(Number.isInteger(cacheSize) && cacheSize > 0)) {
+    throw new TypeError(`Selector cacheSize must be a positive integer, got ${cacheSize}`);
+  }
+
+  return (...args) => {
+    if (args.length < 2 && is(Function, args[0])) {
+      throw new TypeError('A composed selector expects input selectors before its combiner function');
+    }
+
+    if (args.length < 2) return pathSelector(args[0]);
+
+    const combiner = last(args);
+    if (!is(Function, combiner)) {
+      throw new TypeError('A composed selector expects a combiner function as its last argument');
+    }
+
+    return memoizeCombiner(map(toInputSelector, init(args)), combiner, cacheSize);
+  };
+};
+
+/**
+ * Create a function that finds and returns specified property of an object.
+ * Uses ramda [lensPath]{@link http://ramdajs.com/0.21.0/docs/#lensPath},
  * and [view]{@link http://ramdajs.com/0.21.0/docs/#view} internally
  *
  * Pass a single string propName for top level key,
- * or an array of propNames for deep nested keys
+ * or an array of propNames for deep nested keys. A template path such as
+ * `'entities.byId.:id'` returns a selector factory taking params instead
+ *
+ * Pass any number of input selectors (or paths) followed by a combiner function
+ * to create a [memoized]{@link https://en.wikipedia.org/wiki/Memoization} selector.
+ * Input selectors receive every argument the selector is called with, and the
+ * combiner receives their results. The combiner only runs again when an input
+ * result changes by reference. Composed selectors have a `getStats` method
+ * returning `{ hits, misses, size }` and a `clearCache` method. Use
+ * [createSelectorCreator]{@link module:lenses~createSelectorCreator} for a
+ * larger cache. Template paths used as input selectors take their params from
+ * the second argument of the selector
  *
  * @function
  * @see [tests]{@link module:test~createSelector}
- * @param  {(String|String[])}  path  an array for deep prop, or string for top level
- * @return {Function}                 function that returns the value of a property
- *                                    at the specified path
+ * @param  {...(String|Array|Function)}    path  an array for deep prop, or string for top level,
+ *                                                see [getLens]{@link module:lenses~getLens},
+ *                                                or input selectors followed by a combiner
+ * @return {Function}                             function that returns the value of a property
+ *                                                at the specified path, or the combined result
+ * @throws {TypeError}                            when given a lone function, or input selectors
+ *                                                without a combiner function
  *
  * @example
  * const getA = createSelector('a')
@@ -455,8 +1595,21 @@ export const getLens = ifElse(isArrayLike, lensPath, compose(lensPath, of));
  * const getC = createSelector(['a', 'b', 'c'])
  * const nestedObj = { a: { b: { c: 'rumble in the bronx' } } }
  * getC(nestedObj) //=> 'rumble in the bronx'
+ *
+ * const getVisibleTodos = createSelector('todos', ['filters', 'done'],
+ *   (todos, done) => todos.filter(todo => todo.done === done)
+ * )
+ * getVisibleTodos(state) === getVisibleTodos(state) //=> true
+ * getVisibleTodos.getStats() //=> { hits: 1, misses: 1, size: 1 }
+ *
+ * const getZip = createSelector('patient.address.zip')
+ * const getPatient = createSelector('entities.byId.:id')
+ * getPatient({ id: 3 })(state) //=> state.entities.byId[3]
+ *
+ * const getPatientName = createSelector('entities.byId.:id', patient => patient.name)
+ * getPatientName(state, { id: 3 })
  */
-export const createSelector = compose(view, getLens);
+export const createSelector = createSelectorCreator();
 
 /**
  * Create a [memoized]{@link https://en.wikipedia.org/wiki/Memoization}
@@ -466,12 +1619,14 @@ export const createSelector = compose(view, getLens);
  * and [set]{@link http://ramdajs.com/0.21.0/docs/#set} internally
  *
  * Pass a single string propName for top level key,
- * or an array of propNames for deep nested keys
+ * or an array of propNames for deep nested keys. A template path such as
+ * `'orders.:index.status'` returns a setter factory taking params instead
  *
  * @function
  * @see [tests]{@link module:test~createSetter}
- * @param  {(String|String[])} path   an array of strings for a deep property, or
- *                                    string for top level property
+ * @param  {(String|Array)}   path   an array for a deep property, or string for
+ *                                    top level property, see
+ *                                    [getLens]{@link module:lenses~getLens}
  * @return {Function}                 function that returns a clone of an object with a new
  *                                    value set to the property at the specified path
  * @example
@@ -484,8 +1639,16 @@ export const createSelector = compose(view, getLens);
  * const setC = createSetter(['a', 'b', 'c'])
  * const obj = { a: { b: { c: 'I am bored' } } }
  * setC(newVal, obj) //=> { a: { b: { c: 'it is party time' } } }
+ *
+ * const shipOrder = createSetter(['orders', { id: 7 }, 'status'])
+ * shipOrder('shipped', { orders: [{ id: 7, status: 'new' }] })
+ * //=> { orders: [{ id: 7, status: 'shipped' }] }
+ *
+ * const setStatus = createSetter('orders.:index.status')
+ * setStatus({ index: 0 })('shipped', { orders: [{ id: 7, status: 'new' }] })
+ * //=> { orders: [{ id: 7, status: 'shipped' }] }
  */
-export const createSetter = compose(set, getLens);
+export const createSetter = withPathLens(set);
 
 /** @module fetch */
 
@@ -496,36 +1659,162 @@ export const statusCodeComparator = comp => compose(statusCodeSatisfies, flip(co
 export const statusCodeGTE = statusCodeComparator(gte);
 export const statusCodeLT = statusCodeComparator(lt);
 export const statusWithinRange = curry((lowestCode, hightestCode) =>
-  and(statusCodeGTE(lowestCode), statusCodeLT(hightestCode))
+  both(statusCodeGTE(lowestCode), statusCodeLT(hightestCode))
 );
 
 // Response handling support functions
 export const parse = x => JSON.parse(isEmpty(x) ? '{}' : x);
 export const parseIfString = ifElse(typeIs('String'), parse, identity);
 export const encodeResponse = compose(parseIfString, prop('value'));
-export const getHeaders = data => data.headers.get('location');
+export const getHeaders = data => (isNil(prop('headers', data)) ? null : data.headers.get('location'));
 export const getRedirect = compose(objOf('redirect_to'), getHeaders);
 
-export const statusFilter = cond([
+/**
+ * Parses a JSON string, keeping anything that is not JSON (such as an html
+ * error page) as is
+ *
+ * @ignore
+ * @param  {*} value  response body
+ * @return {*}        parsed body
+ */
+const parseOrKeep = value => {
+  try {
+    return parseIfString(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+/**
+ * Type of the error actions created by
+ * [statusFilter]{@link module:fetch~statusFilter} for a failed request
+ *
+ * @type {String}
+ */
+export const FETCH_ERROR = '@@/actionTypes/fetchError';
+
+/**
+ * Returns an error action describing a failed response, its payload holds the
+ * status, statusText and parsed body of the response
+ *
+ * @function
+ * @see [tests]{@link module:test~statusFilter}
+ * @param  {Object} response  fetch response shape
+ * @return {Object}           error action of type FETCH_ERROR
+ */
+export const getErrorResult = ({ status, statusText, value }) => returnErrorResult(
+  FETCH_ERROR,
+  `Request failed with status ${status}`,
+  { status, statusText, body: parseOrKeep(value) },
+);
+
+const statusHandlers = {};
+
+/**
+ * Registers a handler for responses of the given status code, used by
+ * [statusFilter]{@link module:fetch~statusFilter} instead of its built in
+ * handling. Registering a handler for a status again replaces it
+ *
+ * @function
+ * @see [tests]{@link module:test~registerStatusHandler}
+ * @param  {Number}   status   http status code
+ * @param  {Function} handler  takes the response and returns data or an error action
+ *
+ * @example
+ * registerStatusHandler(404, always({ notFound: true }))
+ */
+export const registerStatusHandler = (status, handler) => {
+  statusHandlers[status] = handler;
+};
+
+/**
+ * Removes every handler added with
+ * [registerStatusHandler]{@link module:fetch~registerStatusHandler}
+ *
+ * @function
+ * @see [tests]{@link module:test~registerStatusHandler}
+ */
+export const resetStatusHandlers = () =>
+  keys(statusHandlers).forEach(status => delete statusHandlers[status]);
+
+const defaultStatusFilter = cond([
   [isNilOrEmpty, emptyObject],
   [statusIs(401), getRedirect],
+  [anyPass([statusIs(204), statusIs(205), statusIs(304)]), emptyObject],
   [statusWithinRange(200, 300), encodeResponse],
+  [statusWithinRange(300, 400), getRedirect],
+  [T, getErrorResult],
 ]);
 
-export const actionCreatorOrNew = ifElse(is(Function), identity, createAction);
+/**
+ * Returns the data of a fetch response according to its status:
+ *
+ * - an empty response gives an empty object
+ * - a 401 or 3xx response gives `{ redirect_to }` from its location header, null
+ *   without one
+ * - a 204, 205 or 304 (not modified) response gives an empty object, so state
+ *   is left as is
+ * - any other 2xx response gives its parsed body
+ * - anything else gives an error action built by
+ *   [getErrorResult]{@link module:fetch~getErrorResult}
+ *
+ * Handlers added with [registerStatusHandler]{@link module:fetch~registerStatusHandler}
+ * take precedence
+ *
+ * @function
+ * @see [tests]{@link module:test~statusFilter}
+ * @param  {Object} response  fetch response shape `{ status, statusText, headers, value }`
+ * @return {*}                response data, or an error action
+ */
+export const statusFilter = response =>
+  propOr(defaultStatusFilter, path(['status'], response), statusHandlers)(response);
+
+export const actionCreatorOrNew = ifElse(is(Function), identity, unary(createAction));
+
+/**
+ * Returns true for an object with a type and an `error` key set to true
+ *
+ * @function
+ * @see [tests]{@link module:test~isErrorAction}
+ * @param  {*}       action  value to check
+ * @return {Boolean}         true for an error action
+ */
+export const isErrorAction = allPass([typeIs('Object'), has('type'), propEq('error', true)]);
+
+/**
+ * Turns an error action into one of the caller's choosing. A type string
+ * replaces the action's type, keeping its message and payload, an error action
+ * creator is called with the action's payload and meta, and nil keeps the
+ * action as is
+ *
+ * @function
+ * @see [tests]{@link module:test~routeErrorAction}
+ * @param  {(String|Function)} [onError]    action type or error action creator
+ * @param  {Object}            errorAction  error action to route
+ * @return {Object}                         resulting error action
+ */
+export const routeErrorAction = curry((onError, errorAction) => cond([
+  [always(isNil(onError)), identity],
+  [always(is(Function, onError)), action => onError(action.payload, action.meta)],
+  [T, assoc('type', onError)],
+])(errorAction));
 
 const isResponseObj = allPass([typeIs('Object'), has('data')]);
 const safeData = ifElse(isResponseObj, path(['data']), identity);
 const safeMeta = propOr({}, 'meta');
 /**
  * Returns a function that passes the value.data property expected fetch result
- * to the given callback function
+ * to the given callback function. Responses that
+ * [statusFilter]{@link module:fetch~statusFilter} turns into an error action
+ * return that action instead, routed through
+ * [routeErrorAction]{@link module:fetch~routeErrorAction} when `onError` is given
  *
  * @function
  * @see [tests]{@link module:test~fetchCallback}
- * @param  {Function} func  the callback to pass data to
- * @return {Function}       a function handles status codes appropriately and
- *                            delivers the value.data property to its callback
+ * @param  {Function}           func        the callback to pass data to
+ * @param  {(String|Function)}  [onError]   action type or error action creator for failures
+ * @return {Function}                       a function handles status codes appropriately and
+ *                                          delivers the value.data property to its callback
  *
  * @example
  * import { sum } from 'ramda'
@@ -554,8 +1843,12 @@ const safeMeta = propOr({}, 'meta');
  * addNumbersWithMetaCallback(apiResponse)
  * //=> 12
  */
-export const fetchCallback = func => compose(
-  converge(actionCreatorOrNew(func), [safeData, safeMeta]),
+export const fetchCallback = (func, onError) => compose(
+  ifElse(
+    isErrorAction,
+    routeErrorAction(onError),
+    converge(actionCreatorOrNew(func), [safeData, safeMeta]),
+  ),
   statusFilter,
 );
 
@@ -571,22 +1864,32 @@ export const fetchCallback = func => compose(
 /**
  * Redux action object compatible with [redux-effects-fetch]{@link https://goo.gl/bG7PO0}
  * with a type of 'EFFECT_FETCH', and a payload that describes a
- * [fetch]{@link https://goo.gl/DeFc1M} call.
+ * [fetch]{@link https://goo.gl/DeFc1M} call. Handled by the
+ * [fetch middleware]{@link module:fetchMiddleware~createFetchMiddleware}
  *
  * @typedef   {Object}  FetchAction
  * @property  {String}  url         the request url for fetch call
  * @property  {ParamsObject} params the request params for fetch call
+ * @property  {(String|Function)} [meta.onSuccess]  action type or action creator for the response
+ * @property  {(String|Function)} [meta.onError]    action type or error action creator for a failure
  */
 
 export default {
+  configureActions,
+  createMetaEnricher,
+  correlate,
   returnActionResult,
   createAction,
   createThunk,
   returnErrorResult,
   createErrorAction,
   createErrorThunk,
+  isFSA,
   getLens,
+  isTemplatePath,
+  pathSegments,
   createSelector,
+  createSelectorCreator,
   createSetter,
   statusIs,
   statusCodeSatisfies,
@@ -599,6 +1902,11 @@ export default {
   encodeResponse,
   getHeaders,
   getRedirect,
+  getErrorResult,
   statusFilter,
+  registerStatusHandler,
+  resetStatusHandlers,
+  isErrorAction,
+  routeErrorAction,
   fetchCallback,
 };
@@ -0,0 +1,178 @@
+import { all, identical, is, isNil, keys, map, propOr, reduce, set, view } from 'ramda';
+
+import { diffState, getLens, isTemplatePath, pathSegments } from './index';
+
+const WILDCARD = '*';
+
+const isRedactable = value => is(Array, value) || (is(Object, value) && !is(Error, value));
+
+/**
+ * Throws for template paths, which name no value until given params
+ *
+ * @ignore
+ * @param  {Array} paths  paths to redact
+ * @throws {TypeError}    naming the template paths
+ */
+const assertRedactable = paths => {
+  const templates = paths.filter(isTemplatePath);
+
+  if (templates.length) {
+    throw new TypeError(`Template paths cannot be redacted: ${templates.join(', ')}`);
+  }
+};
+
+/**
+ * Replaces the value at a path of segments with a placeholder, if it has one.
+ * The part of the path after a wildcard is redacted in each element on its own,
+ * so that elements without a value there are left as is
+ *
+ * @ignore
+ * @param  {Array} segments     path segments
+ * @param  {*}     replacement  placeholder
+ * @param  {*}     value        value to redact
+ * @return {*}                  copy of the value, or the value when unchanged
+ */
+const redactSegments = (segments, replacement, value) => {
+  const wildcardAt = segments.indexOf(WILDCARD);
+
+  if (wildcardAt === -1) {
+    const lens = getLens(segments);
+    return isNil(view(lens, value)) ? value : set(lens, replacement, value);
+  }
+
+  const rest = segments.slice(wildcardAt + 1);
+  const redactElement = element => {
+    if (rest.length) return redactSegments(rest, replacement, element);
+    return isNil(element) ? element : replacement;
+  };
+  const redactElements = elements => {
+    if (!isRedactable(elements)) return elements;
+
+    const redacted = map(redactElement, elements);
+    const isUnchanged = all(key => identical(redacted[key], elements[key]), keys(elements));
+
+    return isUnchanged ? elements : redacted;
+  };
+
+  if (wildcardAt === 0) return redactElements(value);
+
+  const lens = getLens(segments.slice(0, wildcardAt));
+  const elements = view(lens, value);
+  const redacted = redactElements(elements);
+
+  return identical(redacted, elements) ? value : set(lens, redacted, value);
+};
+
+/** @module logger */
+
+/**
+ * Replaces the values at the given paths with a placeholder. Paths use the
+ * syntax of [getLens]{@link module:lenses~getLens}, except template paths,
+ * which throw a TypeError. Paths with no value are left as is, including in the
+ * elements a wildcard goes through, and values other than objects and arrays
+ * are returned as is
+ *
+ * @function
+ * @see [tests]{@link module:test~redact}
+ * @param  {Array}  paths           paths to redact
+ * @param  {*}      value           value to redact
+ * @param  {*}      [replacement]   placeholder, defaults to `'[REDACTED]'`
+ * @return {*}                      copy of the value
+ * @throws {TypeError}              when given a template path
+ *
+ * @example
+ * redact(['ssn', 'visits[*].dob'], { ssn: '123-45-6789', visits: [{ dob: '1815-12-10' }, {}] })
+ * //=> { ssn: '[REDACTED]', visits: [{ dob: '[REDACTED]' }, {}] }
+ */
+export const redact = (paths, value, replacement = '[REDACTED]') => {
+  assertRedactable(paths);
+  if (!isRedactable(value)) return value;
+
+  return reduce(
+    (result, propPath) => redactSegments(pathSegments(propPath), replacement, result),
+    value,
+    paths,
+  );
+};
+
+/**
+ * Creates a redux middleware that logs each action, built by
+ * [returnActionResult]{@link module:actions~returnActionResult} or
+ * [returnErrorResult]{@link module:actions~returnErrorResult}, once it has been
+ * handled. Each log entry has the `type`, `payload` and `meta` of the action, the
+ * `message` of an error action, the `changes` to state as listed by
+ * [diffState]{@link module:diff~diffState}, and the `duration` of handling in
+ * milliseconds. An Error payload is logged as its `message` and `data`.
+ *
+ * Error actions go to `errorSink`, other actions to `sink`. Values at the
+ * `redact` paths of payloads and meta, and at the `redactState` paths of state,
+ * never reach either, so changes to redacted values are not listed. Anything
+ * that is not an action object, such as a thunk, is passed on without logging
+ *
+ * @see [tests]{@link module:test~createLoggerMiddleware}
+ * @param  {Object}   [options]
+ * @param  {Function} [options.sink]          takes each entry, defaults to `console.log`
+ * @param  {Function} [options.errorSink]     takes each error entry, defaults to
+ *                                            `console.error`
+ * @param  {Array}    [options.redact]        payload and meta paths to redact
+ * @param  {Array}    [options.redactState]   state paths to redact
+ * @param  {*}        [options.replacement]   placeholder for redacted values
+ * @param  {Function} [options.predicate]     takes (getState, action) and returns false
+ *                                            for actions that should not be logged
+ * @param  {Function} [options.now]           clock, defaults to `Date.now`
+ * @return {Function}                         redux middleware
+ * @throws {TypeError}                        when given a template path to redact
+ *
+ * @example
+ * const logger = createLoggerMiddleware({
+ *   redact: ['ssn', 'patient.dob', 'token'],
+ *   redactState: ['session.token'],
+ *   errorSink: entry => errorReporter.send(entry),
+ * })
+ *
+ * const store = createStore(reducer, applyMiddleware(thunk, logger))
+ */
+export const createLoggerMiddleware = ({
+  sink = (...args) => console.log(...args), // eslint-disable-line no-console
+  errorSink = (...args) => console.error(...args), // eslint-disable-line no-console
+  redact: paths = [],
+  redactState = [],
+  replacement,
+  predicate = () => true,
+  now = Date.now,
+} = {}) => {
+  assertRedactable([...paths, ...redactState]);
+
+  return ({ getState }) => next => action => {
+    if (!is(Object, action) || is(Function, action) || !predicate(getState, action)) {
+      return next(action);
+    }
+
+    const prevState = getState();
+    const start = now();
+    const result = next(action);
+    const duration = now() - start;
+
+    const entry = {
+      type: action.type,
+      payload: is(Error, action.payload)
+        ? { message: action.payload.message, data: redact(paths, action.payload.data, replacement) }
+        : redact(paths, action.payload, replacement),
+      meta: redact(paths, action.meta, replacement),
+      changes: diffState(
+        redact(redactState, prevState, replacement),
+        redact(redactState, getState(), replacement),
+      ),
+      duration,
+    };
+
+    if (action.error === true) {
+      const message = action.message || propOr(undefined, 'message', action.payload);
+      errorSink({ ...entry, message });
+    } else {
+      sink(entry);
+    }
+
+    return result;
+  };
+};
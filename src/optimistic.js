@@ -0,0 +1,180 @@
+import { assoc, findIndex, identical, isNil, path, propEq, remove, update } from 'ramda';
+
+import { isErrorAction } from './index';
+
+const OPTIMISTIC_INIT = '@@/optimistic/init';
+
+let transactionCount = 0;
+
+const transactionIdOf = path(['meta', 'transactionId']);
+
+/**
+ * Applies the entries of a transaction log in order
+ *
+ * @ignore
+ * @param  {Function} reducer  reducer to apply
+ * @param  {*}        state    state to start from
+ * @param  {Object[]} log      entries with an `action` key
+ * @return {*}                 resulting state
+ */
+const replay = (reducer, state, log) =>
+  log.reduce((result, { action }) => reducer(result, action), state);
+
+/**
+ * Folds the leading entries of a log that no longer belong to a pending
+ * transaction into the base state
+ *
+ * @ignore
+ * @param  {Function} reducer  reducer to apply
+ * @param  {Object}   state    `{ present, base, log }`
+ * @return {Object}            `{ present, base, log }`
+ */
+const settle = (reducer, { present, base, log }) => {
+  const firstPending = findIndex(entry => !isNil(entry.transactionId), log);
+  const settled = firstPending === -1 ? log.length : firstPending;
+
+  return {
+    present,
+    base: settled === log.length ? null : replay(reducer, base, log.slice(0, settled)),
+    log: log.slice(settled),
+  };
+};
+
+/** @module optimistic */
+
+/**
+ * Wraps an action creator so that its actions begin an optimistic transaction
+ * of an [optimistic reducer]{@link module:optimistic~optimisticReducer}. Each
+ * action gets a new `transactionId` in its meta, unless its meta already has one,
+ * and an `optimistic` key with its own type, which marks it as the beginning of
+ * the transaction, and the action types that end the transaction. Other actions
+ * given the same meta, such as follow up actions of a thunk, do not begin one.
+ *
+ * The transaction is committed by an action of the `commit` type, and rolled
+ * back by an error action, such as one made by
+ * [createErrorAction]{@link module:actions~createErrorAction} or
+ * [createErrorThunk]{@link module:actions~createErrorThunk}, of the `revert` type.
+ * Either must carry the same `transactionId` in its meta, which is simplest done
+ * by passing the meta of the optimistic action on
+ *
+ * @see [tests]{@link module:test~optimistic}
+ * @param  {Function} actionCreator       action creator with a (payload, meta) signature
+ * @param  {Object}   types
+ * @param  {String}   types.commit        type of the action that commits the transaction
+ * @param  {String}   [types.revert]      type of the error action that rolls back the
+ *                                        transaction, defaults to the `commit` type
+ * @return {Function}                     action creator with a (payload, meta) signature
+ *
+ * @example
+ * const renamePatient = optimistic(createAction(RENAME_PATIENT), {
+ *   commit: RENAME_PATIENT_DONE,
+ *   revert: RENAME_PATIENT_FAILED,
+ * })
+ *
+ * const saveName = (name, meta) => dispatch => api.rename(name).then(
+ *   () => dispatch(createAction(RENAME_PATIENT_DONE)(name, meta)),
+ *   () => dispatch(createErrorAction(RENAME_PATIENT_FAILED, 'Rename failed')(name, meta)),
+ * )
+ *
+ * const action = dispatch(renamePatient('Ada'))
+ * //=> {
+ * //  type: RENAME_PATIENT,
+ * //  payload: 'Ada',
+ * //  meta: {
+ * //    transactionId: 't1',
+ * //    optimistic: {
+ * //      type: RENAME_PATIENT,
+ * //      commit: RENAME_PATIENT_DONE,
+ * //      revert: RENAME_PATIENT_FAILED,
+ * //    },
+ * //  },
+ * //}
+ * dispatch(saveName('Ada', action.meta))
+ */
+export const optimistic = (actionCreator, { commit, revert = commit }) => (payload, meta) => {
+  const action = actionCreator(payload, meta);
+  transactionCount += 1;
+
+  const transactionId = transactionIdOf(action) || `t${transactionCount}`;
+
+  return assoc('meta', {
+    ...action.meta,
+    transactionId,
+    optimistic: { type: action.type, commit, revert },
+  }, action);
+};
+
+/**
+ * Wraps a reducer, such as one made by
+ * [createReducer]{@link module:reducers~createReducer}, so that actions made by
+ * an [optimistic]{@link module:optimistic~optimistic} action creator are applied
+ * right away and may be rolled back later. Its state is kept as
+ * `{ present, base, log }`, where `present` is the state of the wrapped reducer.
+ *
+ * While transactions are pending, every action is kept in the log, applied on
+ * top of `base`, the state before the oldest pending transaction. Rolling back a
+ * transaction removes only its action from the log and replays the rest, so
+ * transactions that interleave are each kept or rolled back on their own
+ *
+ * @see [tests]{@link module:test~optimistic}
+ * @param  {Function} reducer  reducer to wrap
+ * @return {Function}          optimistic reducer
+ *
+ * @example
+ * const reducer = optimisticReducer(createReducer({ name: '' }, {
+ *   [RENAME_PATIENT]: createHandler('name'),
+ * }))
+ *
+ * getState().patient.present.name
+ */
+export function optimisticReducer(reducer) {
+  return (state, action) => {
+    const current = isNil(state)
+      ? { present: reducer(undefined, { type: OPTIMISTIC_INIT }), base: null, log: [] }
+      : state;
+
+    const transactionId = transactionIdOf(action);
+    const pendingIndex = isNil(transactionId)
+      ? -1
+      : findIndex(propEq('transactionId', transactionId), current.log);
+
+    if (pendingIndex !== -1) {
+      const { optimistic: types } = current.log[pendingIndex].action.meta;
+
+      if (isErrorAction(action) && action.type === types.revert) {
+        const log = [...remove(pendingIndex, 1, current.log), { action }];
+        const present = replay(reducer, current.base, log);
+
+        return settle(reducer, { present, base: current.base, log });
+      }
+
+      if (!isErrorAction(action) && action.type === types.commit) {
+        const log = [
+          ...update(pendingIndex, { action: current.log[pendingIndex].action }, current.log),
+          { action },
+        ];
+        const present = reducer(current.present, action);
+
+        return settle(reducer, { present, base: current.base, log });
+      }
+    }
+
+    const present = reducer(current.present, action);
+    const types = path(['meta', 'optimistic'], action);
+    const isBeginning = !isNil(types) && pendingIndex === -1 && types.type === action.type;
+
+    if (isBeginning) {
+      return {
+        present,
+        base: current.log.length ? current.base : current.present,
+        log: [...current.log, { action, transactionId }],
+      };
+    }
+
+    if (!current.log.length) {
+      return identical(present, current.present) ? current : { ...current, present };
+    }
+
+    return { ...current, present, log: [...current.log, { action }] };
+  };
+}
@@ -0,0 +1,276 @@
+import { dissoc, has, isNil, keys, path, reduce, set, type, view } from 'ramda';
+
+import { createAction, createErrorAction, getLens } from './index';
+
+const defaultClock = {
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: id => clearTimeout(id),
+};
+
+const storageKeyOf = ({ key }) => `persist:${key}`;
+
+/**
+ * Picks the slices of state to persist: the whitelisted paths, or else all of
+ * it, less the blacklisted paths
+ *
+ * @ignore
+ * @param  {Object} config  persist config
+ * @param  {*}      state   state to pick from
+ * @return {*}              state to persist
+ */
+const pickPersisted = ({ whitelist, blacklist = [] }, state) => {
+  const picked = isNil(whitelist) ? state : reduce((result, propPath) => {
+    const lens = getLens(propPath);
+    const value = view(lens, state);
+
+    return value === undefined ? result : set(lens, value, result);
+  }, {}, whitelist);
+
+  return reduce((result, propPath) => {
+    const lens = getLens(propPath);
+    return view(lens, result) === undefined ? result : set(lens, undefined, result);
+  }, picked, blacklist);
+};
+
+/**
+ * Merges persisted state into state, plain objects key by key, undefined
+ * values are skipped
+ *
+ * @ignore
+ * @param  {*} state      current state
+ * @param  {*} persisted  persisted state
+ * @return {*}            merged state
+ */
+const mergePersisted = (state, persisted) => {
+  if (type(state) !== 'Object' || type(persisted) !== 'Object') return persisted;
+
+  return reduce((result, key) => (
+    persisted[key] === undefined
+      ? result
+      : { ...result, [key]: mergePersisted(result[key], persisted[key]) }
+  ), state, keys(persisted));
+};
+
+/**
+ * Brings persisted state up to the version of a config by applying each
+ * migration after the stored version in turn. State stored by a later version
+ * is dropped
+ *
+ * @ignore
+ * @param  {Object} config   persist config
+ * @param  {Object} stored   `{ version, state }` as stored
+ * @return {*}               migrated state, undefined if dropped
+ */
+const migrate = ({ version = 0, migrations = {} }, { version: storedVersion = 0, state }) => {
+  if (storedVersion > version) return undefined;
+
+  return keys(migrations)
+    .map(Number)
+    .filter(migrationVersion => migrationVersion > storedVersion && migrationVersion <= version)
+    .sort((a, b) => a - b)
+    .reduce((result, migrationVersion) => migrations[migrationVersion](result), state);
+};
+
+/** @module persist */
+
+/**
+ * Type of the action that merges persisted state into a
+ * [persisted reducer]{@link module:persist~persistReducer}
+ *
+ * @type {String}
+ */
+export const REHYDRATE = '@@/persist/rehydrate';
+
+/**
+ * Creates a REHYDRATE action, its meta names the `key` of the persist config
+ *
+ * @function
+ * @see [tests]{@link module:test~persistReducer}
+ * @param  {*}      payload  persisted state
+ * @param  {Object} meta     `{ key }`
+ * @return {Object}          REHYDRATE action
+ */
+export const rehydrate = (payload, meta) => createAction(REHYDRATE)(payload, meta);
+
+/**
+ * Creates a storage adapter that keeps items in memory, with the same
+ * `getItem`, `setItem` and `removeItem` functions as any adapter given to
+ * [persistEnhancer]{@link module:persist~persistEnhancer}. Each returns a promise
+ *
+ * @function
+ * @see [tests]{@link module:test~createMemoryStorage}
+ * @param  {Object} [items]  initial items by key
+ * @return {Object}          storage adapter
+ *
+ * @example
+ * const storage = createMemoryStorage({ 'persist:root': '{"version":0,"state":{}}' })
+ * storage.getItem('persist:root').then(JSON.parse)
+ */
+export const createMemoryStorage = (items = {}) => {
+  let stored = { ...items };
+
+  return {
+    getItem: key => Promise.resolve(has(key, stored) ? stored[key] : null),
+    setItem: (key, value) => {
+      stored = { ...stored, [key]: String(value) };
+      return Promise.resolve();
+    },
+    removeItem: key => {
+      stored = dissoc(key, stored);
+      return Promise.resolve();
+    },
+  };
+};
+
+/**
+ * Wraps a reducer so that a REHYDRATE action for the `key` of its config merges
+ * the persisted state into its state, plain objects key by key. Pass the same
+ * config to [persistEnhancer]{@link module:persist~persistEnhancer}, which
+ * reads, migrates and writes that state
+ *
+ * @see [tests]{@link module:test~persistReducer}
+ * @param  {Function} reducer     reducer to wrap
+ * @param  {Object}   config      see [persistEnhancer]{@link module:persist~persistEnhancer}
+ * @param  {String}   config.key  name of the persisted state
+ * @return {Function}             persisted reducer
+ */
+export function persistReducer(reducer, { key }) {
+  return (state, action) => {
+    const next = reducer(state, action);
+    const isRehydrate = action.type === REHYDRATE && !action.error
+      && path(['meta', 'key'], action) === key;
+
+    return isRehydrate && !isNil(action.payload) ? mergePersisted(next, action.payload) : next;
+  };
+}
+
+/**
+ * Creates a store enhancer that persists slices of state to a storage adapter,
+ * such as `localStorage` or one made by
+ * [createMemoryStorage]{@link module:persist~createMemoryStorage}. On startup the
+ * stored state is read, deserialized, migrated and dispatched with a
+ * [REHYDRATE]{@link module:persist~REHYDRATE} action for a
+ * [persisted reducer]{@link module:persist~persistReducer} to merge. From then
+ * on, state is written at most once every `throttle` milliseconds, and only
+ * when the persisted slices changed since the last successful write.
+ *
+ * Slices are chosen by [getLens]{@link module:lenses~getLens} paths: only the
+ * `whitelist` paths when given, less the `blacklist` paths. Stored state is kept
+ * as `{ version, state }` and passed through `serialize` and `deserialize`,
+ * which may handle values JSON does not, such as Dates and Maps. Stored state of
+ * an older version goes through each of the `migrations` after it, keyed by the
+ * version they migrate to, while stored state of a later version is dropped.
+ *
+ * The store gets a `persistor` with a `rehydrated` promise of the REHYDRATE
+ * action, a `flush` function that writes pending changes as soon as state is
+ * rehydrated, rather than when the throttle allows, and a
+ * `purge` function that removes the stored state. A failure to read or
+ * deserialize dispatches an error REHYDRATE action instead, built by
+ * [createErrorAction]{@link module:actions~createErrorAction} with the error
+ *
+ * @see [tests]{@link module:test~persistEnhancer}
+ * @param  {Object}   config
+ * @param  {String}   config.key                 name of the persisted state
+ * @param  {Object}   config.storage             adapter with `getItem`, `setItem` and
+ *                                               `removeItem` functions, which may
+ *                                               return promises
+ * @param  {Array}    [config.whitelist]         paths to persist
+ * @param  {Array}    [config.blacklist]         paths not to persist
+ * @param  {Number}   [config.version=0]         version of the persisted state
+ * @param  {Object}   [config.migrations]        functions from the state of the
+ *                                               previous version, by version
+ * @param  {Function} [config.serialize]         defaults to `JSON.stringify`
+ * @param  {Function} [config.deserialize]       defaults to `JSON.parse`
+ * @param  {Number}   [config.throttle=1000]     milliseconds between writes
+ * @param  {Function} [config.onError]           takes errors of throttled writes,
+ *                                               defaults to `console.error`
+ * @param  {Object}   [config.clock]             `setTimeout` and `clearTimeout`
+ *                                               functions
+ * @return {Function}                            store enhancer
+ *
+ * @example
+ * const persistConfig = {
+ *   key: 'patients',
+ *   storage: window.localStorage,
+ *   whitelist: ['patient.name', 'recent'],
+ *   version: 2,
+ *   migrations: {
+ *     2: state => ({ ...state, recent: state.recentIds }),
+ *   },
+ *   serialize: value => JSON.stringify(value, (key, item) => (
+ *     item instanceof Map ? { dataType: 'Map', entries: [...item] } : item
+ *   )),
+ *   deserialize: text => JSON.parse(text, (key, item) => (
+ *     item && item.dataType === 'Map' ? new Map(item.entries) : item
+ *   )),
+ * }
+ *
+ * const store = createStore(
+ *   persistReducer(reducer, persistConfig),
+ *   persistEnhancer(persistConfig),
+ * )
+ *
+ * store.persistor.rehydrated.then(renderApp)
+ */
+export const persistEnhancer = config => createStore => (...args) => {
+  const {
+    storage,
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    throttle = 1000,
+    onError = error => console.error(error), // eslint-disable-line no-console
+    clock = defaultClock,
+  } = config;
+
+  const store = createStore(...args);
+  const storageKey = storageKeyOf(config);
+  const meta = { key: config.key };
+  let isRehydrated = false;
+  let timer = null;
+  let lastWritten;
+
+  // serializing inside the chain hands its errors to onError or flush as well
+  const write = () => {
+    timer = null;
+
+    return Promise.resolve()
+      .then(() => serialize({
+        version: config.version || 0,
+        state: pickPersisted(config, store.getState()),
+      }))
+      .then(text => {
+        if (text === lastWritten) return undefined;
+
+        return Promise.resolve(storage.setItem(storageKey, text))
+          .then(() => { lastWritten = text; });
+      });
+  };
+
+  store.subscribe(() => {
+    if (!isRehydrated || !isNil(timer)) return;
+    timer = clock.setTimeout(() => write().catch(onError), throttle);
+  });
+
+  const rehydrated = Promise.resolve()
+    .then(() => storage.getItem(storageKey))
+    .then(text => (isNil(text) ? undefined : migrate(config, deserialize(text))))
+    .then(
+      state => rehydrate(state, meta),
+      error => createErrorAction(REHYDRATE, `Could not rehydrate "${config.key}"`)(error, meta),
+    )
+    .then(action => {
+      isRehydrated = true;
+      return store.dispatch(action);
+    });
+
+  const flush = () => {
+    if (!isNil(timer)) clock.clearTimeout(timer);
+    return rehydrated.then(write);
+  };
+
+  const purge = () => Promise.resolve()
+    .then(() => storage.removeItem(storageKey))
+    .then(() => { lastWritten = undefined; });
+
+  return { ...store, persistor: { rehydrated, flush, purge } };
+};
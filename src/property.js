@@ -0,0 +1,177 @@
+import { isEmpty, keys, omit, remove, times, type, uniq, update } from 'ramda';
+
+import { generatePayload, validatePayload } from './index';
+
+const MODULUS = 2147483647;
+const MULTIPLIER = 16807;
+
+/**
+ * Runs a property, a thrown error counts as a failure
+ *
+ * @ignore
+ * @param  {Function} property  takes a payload and returns a failure message, if any
+ * @param  {Object}   payload   payload to check
+ * @return {String}             failure message, null if the property holds
+ */
+const failureOf = (property, payload) => {
+  try {
+    return property(payload) || null;
+  } catch (error) {
+    return `threw ${error}`;
+  }
+};
+
+/**
+ * Shrinks a failing payload one candidate at a time, for as long as a smaller
+ * candidate that is valid for the schema still fails
+ *
+ * @ignore
+ * @param  {Function} property  property that failed
+ * @param  {Schema}   schema    schema every candidate must be valid for
+ * @param  {Object}   failure   `{ payload, message }` of the failure
+ * @param  {Number}   budget    number of candidates left to try
+ * @return {Object}             `{ payload, message }` of the smallest failure found
+ */
+const shrinkFailure = (property, schema, failure, budget) => {
+  const candidates = shrinkValue(failure.payload) // eslint-disable-line no-use-before-define
+    .filter(candidate => isEmpty(validatePayload(schema, candidate)))
+    .slice(0, budget);
+
+  let message = null;
+  const index = candidates.findIndex(candidate => {
+    message = failureOf(property, candidate);
+    return message !== null;
+  });
+
+  return index === -1
+    ? failure
+    : shrinkFailure(property, schema, { payload: candidates[index], message }, budget - index - 1);
+};
+
+/** @module property */
+
+/**
+ * Creates a seeded random number generator, the same seed always gives the
+ * same numbers
+ *
+ * @function
+ * @see [tests]{@link module:test~createRandom}
+ * @param  {Number}   seed  any integer
+ * @return {Function}       returns the next number from 0 up to 1
+ *
+ * @example
+ * const random = createRandom(42)
+ * random() //=> 0.7219556725788449
+ */
+export const createRandom = seed => {
+  let state = (Math.abs(Math.floor(seed)) % (MODULUS - 1)) + 1;
+  const next = () => {
+    state = (state * MULTIPLIER) % MODULUS;
+    return (state - 1) / (MODULUS - 1);
+  };
+
+  // the first numbers of small seeds are small too
+  times(next, 3);
+  return next;
+};
+
+/**
+ * Lists simpler versions of a value, used to shrink a counterexample. Strings
+ * and arrays get shorter, numbers get closer to zero, true becomes false and
+ * objects lose keys, while the parts of arrays and objects shrink in place
+ *
+ * @function
+ * @see [tests]{@link module:test~shrinkValue}
+ * @param  {*}     value  value to shrink
+ * @return {Array}        simpler values, empty when there are none
+ *
+ * @example
+ * shrinkValue({ name: 'Ada' })
+ * //=> [{}, { name: '' }, { name: 'A' }, { name: 'Ad' }]
+ */
+export const shrinkValue = value => {
+  switch (type(value)) {
+    case 'String':
+      return value.length
+        ? uniq(['', value.slice(0, Math.floor(value.length / 2)), value.slice(0, -1)])
+        : [];
+    case 'Number':
+      return uniq([0, Math.trunc(value / 2), Math.trunc(value)])
+        .filter(candidate => candidate !== value && !Object.is(candidate, -0));
+    case 'Boolean':
+      return value ? [false] : [];
+    case 'Array':
+      return [
+        ...(value.length ? [[]] : []),
+        ...(value.length > 1 ? value.map((item, index) => remove(index, 1, value)) : []),
+        ...value.reduce((candidates, item, index) => [
+          ...candidates,
+          ...shrinkValue(item).map(candidate => update(index, candidate, value)),
+        ], []),
+      ];
+    case 'Object':
+      return [
+        ...(keys(value).length ? [{}] : []),
+        ...(keys(value).length > 1 ? keys(value).map(key => omit([key], value)) : []),
+        ...keys(value).reduce((candidates, key) => [
+          ...candidates,
+          ...shrinkValue(value[key]).map(candidate => ({ ...value, [key]: candidate })),
+        ], []),
+      ];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Checks a property against many payloads generated from a schema by
+ * [generatePayload]{@link module:schema~generatePayload}, growing in size from
+ * one run to the next. The property takes a payload and returns a message
+ * describing how it failed, or nothing when it holds. A property that throws
+ * fails too.
+ *
+ * The first failing payload is shrunk with `shrinkValue` to the smallest payload
+ * that is still valid for the schema and still fails
+ *
+ * @see [tests]{@link module:test~checkProperty}
+ * @param  {Function} property                  takes a payload and returns a failure
+ *                                              message, if any
+ * @param  {Object}   options
+ * @param  {Schema}   options.schema            see [Schema]{@link module:schema~Schema}
+ * @param  {Number}   [options.seed]            seed of the payloads, defaults to the time
+ * @param  {Number}   [options.runs=100]        number of payloads to check
+ * @param  {Number}   [options.size=10]         size of the last payloads
+ * @param  {Number}   [options.maxShrinks=500]  number of smaller payloads to try at most
+ * @return {Object}                             null when the property holds, otherwise
+ *                                              `{ seed, run, payload, counterexample,
+ *                                              message }`
+ *
+ * @example
+ * checkProperty(({ age }) => (age < 0 ? 'negative age' : undefined), {
+ *   schema: { age: { type: 'Number', required: true } },
+ *   seed: 42,
+ * })
+ * //=> { seed: 42, run: 1, payload: { age: -34 }, counterexample: { age: -1 },
+ * //     message: 'negative age' }
+ */
+export function checkProperty(property, {
+  schema,
+  seed = Date.now(),
+  runs = 100,
+  size = 10,
+  maxShrinks = 500,
+}) {
+  const random = createRandom(seed);
+
+  for (let run = 1; run <= runs; run += 1) {
+    const payload = generatePayload(schema, random, Math.ceil((size * run) / runs));
+    const message = failureOf(property, payload);
+
+    if (message !== null) {
+      const shrunk = shrinkFailure(property, schema, { payload, message }, maxShrinks);
+      return { seed, run, payload, counterexample: shrunk.payload, message: shrunk.message };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,181 @@
+import { identical, is, isNil, keys, last, propOr } from 'ramda';
+
+import { formatPath } from './index';
+
+const MUTATION_ERROR = /read[ -]only|not extensible|Cannot delete|Cannot (add|assign|define)/;
+
+const isPlainObject = value => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+const STRICT_INIT = '@@/strict/init';
+
+// warn functions of the strict reducers running, innermost last
+const handlerWarnings = [];
+
+const isPrimitive = value =>
+  isNil(value) || ['string', 'number', 'boolean'].indexOf(typeof value) !== -1;
+
+/**
+ * Walks the plain objects and arrays of a value, skipping those identical to
+ * the same path of a previous value, which were checked before
+ *
+ * @ignore
+ * @param  {*}        value     value to check
+ * @param  {*}        previous  previous value at the same path
+ * @param  {Array}    path      path of the value
+ * @return {Array[]}            paths of values that are not serializable
+ */
+const walkSerializable = (value, previous, path) => {
+  if (isPrimitive(value) || identical(value, previous)) return [];
+  if (!is(Array, value) && !isPlainObject(value)) return [path];
+
+  const childOf = key => (is(Object, previous) ? previous[key] : undefined);
+
+  return keys(value).reduce((paths, key) => {
+    const index = is(Array, value) ? Number(key) : key;
+    return [...paths, ...walkSerializable(value[key], childOf(key), [...path, index])];
+  }, []);
+};
+
+/**
+ * Called by [createReducer]{@link module:reducers~createReducer} outside of
+ * production when a handler returns undefined, which it merges as no change,
+ * so that the innermost strict reducer running can warn about it
+ *
+ * @ignore
+ * @param  {Object} action  action being handled
+ */
+export const warnUndefinedHandler = action => {
+  const warn = last(handlerWarnings);
+  if (warn) warn(propOr(undefined, 'type', action));
+};
+
+/** @module purity */
+
+/**
+ * Freezes the plain objects and arrays within a value, down to any that are
+ * already frozen. Class instances, such as Errors and Dates, are left as is
+ *
+ * @function
+ * @see [tests]{@link module:test~deepFreeze}
+ * @param  {*} value  value to freeze
+ * @return {*}        the same value
+ */
+export const deepFreeze = value => {
+  if (isPrimitive(value) || Object.isFrozen(value)) return value;
+  if (!is(Array, value) && !isPlainObject(value)) return value;
+
+  Object.freeze(value);
+  keys(value).forEach(key => deepFreeze(value[key]));
+  return value;
+};
+
+/**
+ * Lists the paths of values that do not survive serialization, such as
+ * functions, Promises and class instances. Only strings, numbers, booleans,
+ * null, undefined, plain objects and arrays are serializable
+ *
+ * @function
+ * @see [tests]{@link module:test~findNonSerializable}
+ * @param  {*}       value       value to check
+ * @param  {*}       [previous]  earlier version of the value, parts of it that are
+ *                               still identical are not checked again
+ * @return {Array[]}             paths of the non serializable values
+ *
+ * @example
+ * findNonSerializable({ patient: { saved: Promise.resolve() }, onSave: () => {} })
+ * //=> [['patient', 'saved'], ['onSave']]
+ */
+export const findNonSerializable = (value, previous) => walkSerializable(value, previous, []);
+
+/**
+ * Runs a reducer with its state and action deep frozen. Without a state, the
+ * default state of the reducer is frozen before the action is handled
+ *
+ * @ignore
+ * @param  {Function} reducer  reducer to run
+ * @param  {*}        state    incoming state
+ * @param  {Object}   action   action to handle
+ * @return {*}                 next state
+ */
+const runFrozen = (reducer, state, action) => {
+  const current = state === undefined ? reducer(undefined, { type: STRICT_INIT }) : state;
+
+  deepFreeze(current);
+  deepFreeze(action);
+  return reducer(current, action);
+};
+
+/**
+ * Wraps a reducer, such as one made by
+ * [createReducer]{@link module:reducers~createReducer}, with checks for
+ * development. The incoming state and action are deep frozen, as is the default
+ * state when there is no incoming state, so that a handler that mutates either
+ * throws a TypeError naming the reducer and action type. A warning is given when
+ * the reducer, or a handler of a [createReducer]{@link module:reducers~createReducer}
+ * reducer within it, returns undefined, or when the reducer returns state with
+ * values that are not serializable (see `findNonSerializable`).
+ *
+ * When `NODE_ENV` is `production` the reducer is returned as is
+ *
+ * @see [tests]{@link module:test~strictReducer}
+ * @param  {Function} reducer          reducer to wrap
+ * @param  {Object}   [options]
+ * @param  {String}   [options.name]   name of the reducer in messages, defaults to
+ *                                     the name of the function
+ * @param  {Function} [options.warn]   takes each warning, defaults to `console.warn`
+ * @return {Function}                  checked reducer
+ *
+ * @example
+ * const reducer = strictReducer(createReducer({ visits: [] }, {
+ *   [ADD_VISIT]: (state, { payload }) => {
+ *     state.visits.push(payload)
+ *     return state
+ *   },
+ * }), { name: 'patient' })
+ *
+ * reducer(undefined, addVisit({ id: 1 }))
+ * //=> TypeError: Reducer "patient" mutated its state or action while handling
+ * //   "@@/patient/addVisit": Cannot add property 0, object is not extensible
+ */
+export function strictReducer(reducer, {
+  name = reducer.name || 'reducer',
+  warn = (...args) => console.warn(...args), // eslint-disable-line no-console
+} = {}) {
+  if (process.env.NODE_ENV === 'production') return reducer;
+
+  const warnHandler = type =>
+    warn(`Reducer "${name}" has a handler that returned undefined while handling "${type}"`);
+
+  return (state, action) => {
+    const type = propOr(undefined, 'type', action);
+    let result;
+
+    handlerWarnings.push(warnHandler);
+    try {
+      result = runFrozen(reducer, state, action);
+    } catch (error) {
+      if (!is(TypeError, error) || !MUTATION_ERROR.test(error.message)) throw error;
+
+      throw new TypeError(
+        `Reducer "${name}" mutated its state or action while handling "${type}": ${error.message}`
+      );
+    } finally {
+      handlerWarnings.pop();
+    }
+
+    if (result === undefined) {
+      warn(`Reducer "${name}" returned undefined while handling "${type}"`);
+      return result;
+    }
+
+    const paths = findNonSerializable(result, state).map(formatPath).join(', ');
+    if (paths) {
+      warn(`Reducer "${name}" returned non serializable values while handling "${type}": ${paths}`);
+    }
+
+    return result;
+  };
+}
@@ -0,0 +1,216 @@
+import { contains, is, isNil } from 'ramda';
+
+import {
+  correlate,
+  createAction,
+  createErrorAction,
+  fetchCallback,
+  isErrorAction,
+} from './index';
+
+const defaultClock = {
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: id => clearTimeout(id),
+};
+
+/**
+ * Returns a promise that resolves after the given delay on a clock
+ *
+ * @ignore
+ * @param  {Object}  clock  object with a `setTimeout` function
+ * @param  {Number}  delay  milliseconds to wait
+ * @return {Promise}
+ */
+const wait = (clock, delay) => new Promise(resolve => clock.setTimeout(resolve, delay));
+
+/**
+ * Rejects with a timeout error unless the promise settles within the timeout,
+ * no timeout is applied when it is nil
+ *
+ * @ignore
+ * @param  {Object}  clock    object with `setTimeout` and `clearTimeout` functions
+ * @param  {Number}  timeout  milliseconds to wait for the promise
+ * @param  {Promise} promise  promise to time out
+ * @return {Promise}
+ */
+const withTimeout = (clock, timeout, promise) => {
+  if (isNil(timeout)) return promise;
+
+  return new Promise((resolve, reject) => {
+    const id = clock.setTimeout(
+      () => reject(new Error(`Request timed out after ${timeout}ms`)),
+      timeout,
+    );
+    const settle = callback => value => {
+      clock.clearTimeout(id);
+      callback(value);
+    };
+
+    promise.then(settle(resolve), settle(reject));
+  });
+};
+
+/**
+ * Reads the message and details of an error action, in either action shape
+ *
+ * @ignore
+ * @param  {Object} errorAction  error action
+ * @return {Object}              `{ message, payload }`
+ */
+const describeErrorAction = ({ message, payload }) => (
+  is(Error, payload)
+    ? { message: payload.message, payload: payload.data }
+    : { message, payload }
+);
+
+/** @module retry */
+
+/**
+ * Status codes retried by default by a
+ * [retry thunk]{@link module:retry~createRetryThunk}
+ *
+ * @type {Number[]}
+ */
+export const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Computes the delay before the attempt following a failed attempt: the base
+ * delay grows by `factor` with each attempt up to `maxDelay`, then a random
+ * fraction of up to `jitter` of it is taken off
+ *
+ * @function
+ * @see [tests]{@link module:test~backoffDelay}
+ * @param  {Object}   [policy]
+ * @param  {Number}   [policy.baseDelay=100]    delay after the first attempt, in milliseconds
+ * @param  {Number}   [policy.factor=2]         growth of the delay with each attempt
+ * @param  {Number}   [policy.maxDelay=30000]   largest delay, in milliseconds
+ * @param  {Number}   [policy.jitter=0.5]       largest fraction of the delay taken off
+ * @param  {Function} [policy.random]           random number generator, defaults to
+ *                                              `Math.random`
+ * @param  {Number}   attempt                   number of the failed attempt, from 1
+ * @return {Number}                             delay in milliseconds
+ *
+ * @example
+ * backoffDelay({ baseDelay: 100, jitter: 0 }, 3)
+ * //=> 400
+ */
+export const backoffDelay = ({
+  baseDelay = 100,
+  factor = 2,
+  maxDelay = 30000,
+  jitter = 0.5,
+  random = Math.random,
+} = {}, attempt) => {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+  return Math.round(delay * (1 - jitter * random()));
+};
+
+/**
+ * Given an action type and a request function, returns a thunk creator whose
+ * thunk retries the request with exponential backoff. The request function
+ * takes the (payload, meta, dispatch) the thunk was given, and returns a
+ * promise of a [redux-effects-fetch]{@link https://goo.gl/bG7PO0} response.
+ *
+ * Responses are delivered through [fetchCallback]{@link module:fetch~fetchCallback}
+ * as a SUCCESS action, which is dispatched. Attempts that fail with a status in
+ * `retryOn`, or with a network error or timeout, are retried after
+ * [backoffDelay]{@link module:retry~backoffDelay}, dispatching a RETRY action
+ * whose meta has the failed `attempt` and the `nextDelay`. Once attempts run out,
+ * or on any other failure, a FAILURE action built by
+ * [createErrorAction]{@link module:actions~createErrorAction} is dispatched and the
+ * thunk's promise rejects with it.
+ *
+ * Waiting goes through `clock`, so tests may pass fake timers
+ *
+ * @see [tests]{@link module:test~createRetryThunk}
+ * @param  {String}   actionType                      base action type, suffixed with
+ *                                                    `/SUCCESS`, `/RETRY` and `/FAILURE`
+ * @param  {Function} request                         takes (payload, meta, dispatch) and
+ *                                                    returns a promise of a response
+ * @param  {Object}   [options]                       also takes the policy options
+ *                                                    of `backoffDelay`
+ * @param  {Number}   [options.maxAttempts=3]         most attempts made
+ * @param  {Number[]} [options.retryOn]               retried status codes, defaults to
+ *                                                    `RETRY_STATUSES`
+ * @param  {Boolean}  [options.retryNetworkErrors=true] retry network errors and timeouts
+ * @param  {Number}   [options.timeout]               milliseconds before an attempt fails
+ * @param  {String}   [options.message]               FAILURE message, defaults to the
+ *                                                    message of the last failure
+ * @param  {Object}   [options.clock]                 `setTimeout` and `clearTimeout`
+ *                                                    functions, defaults to the globals
+ * @return {Function}                                 thunk creator with a (payload, meta)
+ *                                                    signature, carrying the `types`
+ *
+ * @example
+ * const fetchPatients = createRetryThunk(
+ *   '@@/patients/fetch',
+ *   (payload, meta, dispatch) => dispatch(fetch('/api/patients')),
+ *   { maxAttempts: 5, timeout: 10000 },
+ * )
+ *
+ * dispatch(fetchPatients())
+ * // on a 503 response dispatches
+ * // { type: '@@/patients/fetch/RETRY', payload: { status: 503, ... },
+ * //   meta: { attempt: 1, nextDelay: 84 } }
+ * // and once a response is received
+ * // { type: '@@/patients/fetch/SUCCESS', payload: [...patients] }
+ */
+export function createRetryThunk(actionType, request, options = {}) {
+  const {
+    maxAttempts = 3,
+    retryOn = RETRY_STATUSES,
+    retryNetworkErrors = true,
+    timeout,
+    message,
+    clock = defaultClock,
+  } = options;
+
+  const types = {
+    SUCCESS: `${actionType}/SUCCESS`,
+    RETRY: `${actionType}/RETRY`,
+    FAILURE: `${actionType}/FAILURE`,
+  };
+
+  const creatorOptions = { name: 'createRetryThunk' };
+  const success = createAction(types.SUCCESS, creatorOptions);
+  const retry = createAction(types.RETRY, creatorOptions);
+
+  const thunkCreator = (payload, thunkMeta) => dispatch => {
+    const meta = correlate(thunkMeta);
+    const fail = (attempt, failure) => Promise.reject(dispatch(
+      createErrorAction(types.FAILURE, message || failure.message, creatorOptions)(
+        failure.payload,
+        { ...meta, attempt },
+      ),
+    ));
+
+    const retryOrFail = (attempt, isRetriable, failure) => {
+      if (!isRetriable || attempt >= maxAttempts) return fail(attempt, failure);
+
+      const nextDelay = backoffDelay(options, attempt);
+      dispatch(retry(failure.payload, { ...meta, attempt, nextDelay }));
+
+      return wait(clock, nextDelay)
+        .then(() => run(attempt + 1)); // eslint-disable-line no-use-before-define
+    };
+
+    const run = attempt => withTimeout(
+      clock,
+      timeout,
+      new Promise(resolve => resolve(request(payload, meta, dispatch))),
+    ).then(
+      response => {
+        const result = fetchCallback(data => success(data, meta))(response);
+
+        return isErrorAction(result)
+          ? retryOrFail(attempt, contains(response.status, retryOn), describeErrorAction(result))
+          : dispatch(result);
+      },
+      error => retryOrFail(attempt, retryNetworkErrors, { message: error.message, payload: error }),
+    );
+
+    return run(1);
+  };
+
+  return Object.assign(thunkCreator, { types });
+}
@@ -0,0 +1,267 @@
+import {
+  chain,
+  cond,
+  contains,
+  defaultTo,
+  either,
+  has,
+  identity,
+  ifElse,
+  is,
+  isNil,
+  keys,
+  objOf,
+  prop,
+  T,
+  times,
+  type,
+} from 'ramda';
+
+/**
+ * A type name, or a list of type names, is shorthand for `{ type }`
+ *
+ * @ignore
+ * @param  {(String|String[]|Object)} field  field descriptor
+ * @return {Object}                          normalized field descriptor
+ */
+const normalizeField = ifElse(either(is(String), is(Array)), objOf('type'), identity);
+
+/**
+ * Lists the type names a field accepts, fields with a `shape` or `items`
+ * imply an `Object` or `Array` type
+ *
+ * @ignore
+ * @param  {Object}   field  normalized field descriptor
+ * @return {String[]}        accepted type names, empty if any type is accepted
+ */
+const acceptedTypes = cond([
+  [has('type'), field => [].concat(field.type)],
+  [has('shape'), () => ['Object']],
+  [has('items'), () => ['Array']],
+  [T, () => []],
+]);
+
+const PRIMITIVE_TYPES = ['String', 'Number', 'Boolean', 'Null'];
+const ANY_TYPES = [...PRIMITIVE_TYPES, 'Object', 'Array'];
+const CHARACTERS = 'abcXYZ019 -_.\u00e9';
+const EDGE_NUMBERS = [0, -1, 1, 0.5, Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER];
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const upTo = (random, max) => Math.floor(random() * (max + 1));
+
+/**
+ * Generates each key of a schema, keys that are not required are sometimes
+ * left out
+ *
+ * @ignore
+ * @param  {Schema}   schema    schema to generate
+ * @param  {Function} random    random number generator
+ * @param  {Number}   size      size of the values to generate
+ * @param  {Function} generate  generates a value for a field descriptor
+ * @return {Object}             generated object
+ */
+const generateShape = (schema, random, size, generate) => keys(schema).reduce((result, key) => {
+  const field = normalizeField(schema[key]);
+  if (!field.required && random() < 0.25) return result;
+
+  return { ...result, [key]: generate(field, random, size) };
+}, {});
+
+/**
+ * Value generators by type name, each takes a normalized field descriptor, a
+ * random number generator, the size of the value and a function that generates
+ * a value for a field descriptor
+ *
+ * @ignore
+ * @type {Object}
+ */
+const generators = {
+  String: (field, random, size) =>
+    times(() => pick(random, CHARACTERS), upTo(random, size)).join(''),
+  Number: (field, random, size) => {
+    if (random() < 0.2) return pick(random, EDGE_NUMBERS);
+
+    const value = Math.round((random() * 2 - 1) * (size + 1) * 100);
+    return random() < 0.5 ? value : value / 100;
+  },
+  Boolean: (field, random) => random() < 0.5,
+  Null: () => null,
+  Undefined: () => undefined,
+  Date: (field, random) => new Date(Math.floor(random() * 4102444800000)),
+  Object: (field, random, size, generate) => {
+    if (field.shape) return generateShape(field.shape, random, size, generate);
+
+    return times(() => generators.String(field, random, size) || 'key', upTo(random, size))
+      .reduce((result, key) => ({ ...result, [key]: generate({}, random, size - 1) }), {});
+  },
+  Array: (field, random, size, generate) => times(
+    () => (field.items ? generate(field.items, random, size) : generate({}, random, size - 1)),
+    upTo(random, size),
+  ),
+};
+
+/** @module schema */
+
+/**
+ * Describes the expected shape of an action payload. Each key of a schema
+ * names a payload key, and its value is a field descriptor:
+ *
+ * - a type name as returned by ramda's [type]{@link http://ramdajs.com/0.21.0/docs/#type}
+ *   such as `'String'`, `'Number'`, `'Object'` or `'Array'`
+ * - a list of type names, any of which is accepted
+ * - an object with any of the keys `type` (type name or list of names),
+ *   `required` (Boolean), `enum` (list of accepted values), `shape` (a nested
+ *   schema for an object value) and `items` (a field descriptor for each
+ *   element of an array value)
+ *
+ * @typedef {Object} Schema
+ *
+ * @example
+ * const patientSchema = {
+ *   name: { type: 'String', required: true },
+ *   age: 'Number',
+ *   status: { enum: ['active', 'discharged'] },
+ *   tags: { items: 'String' },
+ *   address: {
+ *     required: true,
+ *     shape: {
+ *       zip: { type: 'String', required: true },
+ *     },
+ *   },
+ * }
+ */
+
+/**
+ * Validates a single value against a field descriptor
+ *
+ * @function
+ * @see [tests]{@link module:test~validateField}
+ * @param  {(String|String[]|Object)} field       field descriptor, see
+ *                                                [Schema]{@link module:schema~Schema}
+ * @param  {*}                        value       value to validate
+ * @param  {String}                   [path]      name of the value used in messages
+ * @return {String[]}                             error messages, empty if valid
+ *
+ * @example
+ * validateField({ type: 'Number', required: true }, undefined, 'age')
+ * //=> ['age is required']
+ */
+export const validateField = (descriptor, value, fieldPath = 'value') => {
+  const field = normalizeField(descriptor);
+  const types = acceptedTypes(field);
+  const actualType = type(value);
+
+  if (isNil(value) && !contains(actualType, types)) {
+    return field.required ? [`${fieldPath} is required`] : [];
+  }
+
+  if (types.length && !contains(actualType, types)) {
+    return [`${fieldPath} should be of type ${types.join(' or ')} but got ${actualType}`];
+  }
+
+  if (field.enum && !contains(value, field.enum)) {
+    return [`${fieldPath} should be one of ${field.enum.join(', ')}`];
+  }
+
+  if (field.shape && actualType === 'Object') {
+    return validateShape(field.shape, value, fieldPath); // eslint-disable-line no-use-before-define
+  }
+
+  if (field.items && actualType === 'Array') {
+    return chain(
+      index => validateField(field.items, value[index], `${fieldPath}[${index}]`),
+      keys(value),
+    );
+  }
+
+  return [];
+};
+
+/**
+ * Validates each key of an object against a schema
+ *
+ * @function
+ * @see [tests]{@link module:test~validateShape}
+ * @param  {Schema}   schema      see [Schema]{@link module:schema~Schema}
+ * @param  {Object}   value       object to validate, nil is treated as an empty object
+ * @param  {String}   [path]      name of the object used in messages
+ * @return {String[]}             error messages, empty if valid
+ *
+ * @example
+ * validateShape({ name: 'String' }, { name: 1 }, 'payload')
+ * //=> ['payload.name should be of type String but got Number']
+ */
+export const validateShape = (schema, value, basePath = 'value') => chain(
+  key => validateField(schema[key], prop(key, defaultTo({}, value)), `${basePath}.${key}`),
+  keys(schema),
+);
+
+/**
+ * Validates an action payload against a schema
+ *
+ * @function
+ * @see [tests]{@link module:test~validatePayload}
+ * @param  {Schema}   schema    see [Schema]{@link module:schema~Schema}
+ * @param  {*}        payload   action payload
+ * @return {String[]}           error messages, empty if valid
+ *
+ * @example
+ * validatePayload({ name: { type: 'String', required: true } }, {})
+ * //=> ['payload.name is required']
+ */
+export const validatePayload = (schema, payload) => validateShape(schema, payload, 'payload');
+
+/**
+ * Generates a random value that is valid for a field descriptor. Fields with an
+ * `enum` give one of its values, fields of no particular type give any
+ * serializable value. Types other than `String`, `Number`, `Boolean`, `Null`,
+ * `Undefined`, `Date`, `Object` and `Array` cannot be generated
+ *
+ * @function
+ * @see [tests]{@link module:test~generateField}
+ * @param  {(String|String[]|Object)} field     field descriptor, see
+ *                                              [Schema]{@link module:schema~Schema}
+ * @param  {Function}                 random    returns a number from 0 up to 1, such as
+ *                                              one made by
+ *                                              [createRandom]{@link module:property~createRandom}
+ * @param  {Number}                   [size=5]  upper bound for the length of strings and
+ *                                              arrays, the number of keys of objects and
+ *                                              how deep values of any type nest
+ * @return {*}                                  generated value
+ *
+ * @example
+ * generateField({ items: { enum: ['a', 'b'] } }, createRandom(42), 3)
+ * //=> ['a', 'a', 'a']
+ */
+export const generateField = (descriptor, random, size = 5) => {
+  const field = normalizeField(descriptor);
+  if (field.enum) return pick(random, field.enum);
+
+  const types = acceptedTypes(field);
+  const anyTypes = size > 0 ? ANY_TYPES : PRIMITIVE_TYPES;
+  const typeName = pick(random, types.length ? types : anyTypes);
+
+  if (!has(typeName, generators)) {
+    throw new TypeError(`Cannot generate a value of type ${typeName}`);
+  }
+
+  return generators[typeName](field, random, size, generateField);
+};
+
+/**
+ * Generates a random payload that is valid for a schema, keys that are not
+ * required are sometimes left out
+ *
+ * @function
+ * @see [tests]{@link module:test~generateField}
+ * @param  {Schema}   schema    see [Schema]{@link module:schema~Schema}
+ * @param  {Function} random    returns a number from 0 up to 1
+ * @param  {Number}   [size=5]  see [generateField]{@link module:schema~generateField}
+ * @return {Object}             generated payload
+ *
+ * @example
+ * generatePayload({ name: { type: 'String', required: true }, age: 'Number' }, createRandom(7))
+ * //=> { name: '-', age: -27 }
+ */
+export const generatePayload = (schema, random, size = 5) =>
+  generateShape(schema, random, size, generateField);
@@ -0,0 +1,161 @@
+import { is, isNil, type, without } from 'ramda';
+
+import { combineReducers, strictReducer } from './index';
+
+/** @module store */
+
+/**
+ * Action types dispatched by a store made by
+ * [configureStore]{@link module:store~configureStore} when it is created and
+ * when its reducers are replaced
+ *
+ * @type {String}
+ */
+export const INIT = '@@/store/init';
+export const REPLACE = '@@/store/replace';
+
+/**
+ * Creates a minimal redux store
+ *
+ * @ignore
+ * @param  {Function} reducer           root reducer
+ * @param  {*}        [preloadedState]  initial state
+ * @return {Object}                     `{ dispatch, getState, subscribe, replaceReducer }`
+ */
+const createBaseStore = (reducer, preloadedState) => {
+  let currentReducer = reducer;
+  let state = preloadedState;
+  let listeners = [];
+  let isDispatching = false;
+
+  const dispatch = action => {
+    if (type(action) !== 'Object' || isNil(action.type)) {
+      throw new TypeError('Actions must be objects with a type');
+    }
+
+    if (isDispatching) throw new Error('Reducers may not dispatch actions');
+
+    isDispatching = true;
+    try {
+      state = currentReducer(state, action);
+    } finally {
+      isDispatching = false;
+    }
+
+    listeners.forEach(listener => listener());
+    return action;
+  };
+
+  const subscribe = listener => {
+    listeners = [...listeners, listener];
+    return () => {
+      listeners = without([listener], listeners);
+    };
+  };
+
+  const replaceReducer = nextReducer => {
+    currentReducer = nextReducer;
+    dispatch({ type: REPLACE });
+  };
+
+  dispatch({ type: INIT });
+  return { dispatch, getState: () => state, subscribe, replaceReducer };
+};
+
+/**
+ * Creates a store enhancer that runs each action through a chain of middleware
+ *
+ * @ignore
+ * @param  {Function[]} middleware  redux middleware, outermost first
+ * @return {Function}               store enhancer
+ */
+const applyMiddleware = middleware => createStore => (...args) => {
+  const store = createStore(...args);
+  let dispatch = () => {
+    throw new Error('Actions may not be dispatched while middleware is set up');
+  };
+
+  const api = { getState: store.getState, dispatch: action => dispatch(action) };
+  dispatch = middleware
+    .map(item => item(api))
+    .reduceRight((next, item) => item(next), store.dispatch);
+
+  return { ...store, dispatch };
+};
+
+/**
+ * Redux middleware that calls functions dispatched to it with `dispatch` and
+ * `getState`, such as the thunks made by
+ * [createThunk]{@link module:actions~createThunk}, and returns their result
+ *
+ * @function
+ * @see [tests]{@link module:test~configureStore}
+ * @param  {Object}   store  `{ dispatch, getState }`
+ * @return {Function}        takes the next dispatch and returns dispatch
+ */
+export const thunkMiddleware = ({ dispatch, getState }) => next => action => (
+  is(Function, action) ? action(dispatch, getState) : next(action)
+);
+
+/**
+ * Creates a redux store. Its reducer is a single reducer, or a map of reducers
+ * combined into one by [combineReducers]{@link module:reducers~combineReducers}.
+ * Actions go through [thunkMiddleware]{@link module:store~thunkMiddleware} and
+ * then through the given middleware, and the store is built by each enhancer in
+ * turn, the first one outermost, such as
+ * [persistEnhancer]{@link module:persist~persistEnhancer}.
+ *
+ * Unless `devChecks` is false, the reducer is wrapped by
+ * [strictReducer]{@link module:purity~strictReducer}, which does nothing in
+ * production, and an object of `devChecks` is passed on as its options.
+ *
+ * `replaceReducer` takes reducers in the same forms, so that reducers may be
+ * hot reloaded
+ *
+ * @see [tests]{@link module:test~configureStore}
+ * @param  {Object}            options
+ * @param  {(Function|Object)} options.reducers          reducer, or map of reducers by path
+ * @param  {Function[]}        [options.middleware]      redux middleware
+ * @param  {Function[]}        [options.enhancers]       store enhancers
+ * @param  {*}                 [options.preloadedState]  initial state
+ * @param  {(Boolean|Object)}  [options.devChecks=true]  development checks, or options
+ *                                                       of strictReducer
+ * @return {Object}                                      `{ dispatch, getState, subscribe,
+ *                                                       replaceReducer }`
+ *
+ * @example
+ * const store = configureStore({
+ *   reducers: { patient: patientReducer, visits: visitsReducer },
+ *   middleware: [createLoggerMiddleware()],
+ *   enhancers: [persistEnhancer(persistConfig)],
+ * })
+ *
+ * store.dispatch(loadPatient(3))
+ *
+ * if (module.hot) {
+ *   module.hot.accept('./reducers', () => store.replaceReducer(require('./reducers')))
+ * }
+ */
+export function configureStore({
+  reducers,
+  middleware = [],
+  enhancers = [],
+  preloadedState,
+  devChecks = true,
+}) {
+  const toReducer = nextReducers => {
+    const reducer = is(Function, nextReducers) ? nextReducers : combineReducers(nextReducers);
+    if (!devChecks) return reducer;
+
+    return strictReducer(reducer, { name: 'root', ...(is(Object, devChecks) ? devChecks : {}) });
+  };
+
+  const createStore = [applyMiddleware([thunkMiddleware, ...middleware]), ...enhancers]
+    .reduceRight((create, enhancer) => enhancer(create), createBaseStore);
+  const store = createStore(toReducer(reducers), preloadedState);
+
+  return {
+    ...store,
+    replaceReducer: nextReducers => store.replaceReducer(toReducer(nextReducers)),
+  };
+}
@@ -1,6 +1,7 @@
 import chai, { expect } from 'chai';
 
 import asPromised from 'chai-as-promised';
+import { identity, is, last, range, set, view } from 'ramda';
 
 import {
   // Support functions
@@ -11,19 +12,86 @@ import {
   statusWithinRange,
 
   // Redux utils
+  EFFECT_FETCH,
+  FETCH_ERROR,
   actionCreatorOrNew,
+  actionTestSuite,
   actionTypeIs,
+  asyncDefaultState,
+  backoffDelay,
+  buildRequest,
+  canRedo,
+  canUndo,
+  checkProperty,
+  clearHistory,
+  combineReducers,
+  configureActions,
+  configureStore,
+  correlate,
+  createAbortController,
   createAction,
+  createAsyncAction,
+  createCancellableThunk,
   createThunk,
   createHandler,
+  createLoggerMiddleware,
+  createMemoryStorage,
+  createMetaEnricher,
+  createRandom,
   createErrorAction,
   createErrorThunk,
+  createDuck,
+  createEntityAdapter,
+  createFetchMiddleware,
   createReducer,
+  createRetryThunk,
   createSelector,
+  createSelectorCreator,
   createSetter,
+  deepFreeze,
+  diffState,
+  entitySchema,
+  formatDiff,
+  formatPath,
+  generateField,
+  generatePayload,
+  getLens,
   getPayload,
+  fetchAction,
   fetchCallback,
+  findNonSerializable,
+  isErrorAction,
+  isFSA,
+  isTemplatePath,
+  jumpTo,
+  matchAction,
+  mergeStrategies,
+  namespaceType,
+  normalize,
+  optimistic,
+  optimisticReducer,
+  pathSegments,
+  persistEnhancer,
+  persistReducer,
+  redo,
   reduceReducers,
+  reducerOptions,
+  redact,
+  rehydrate,
+  registerStatusHandler,
+  resetDuckRegistry,
+  resetStatusHandlers,
+  shrinkValue,
+  routeErrorAction,
+  statusFilter,
+  strictReducer,
+  thunkMiddleware,
+  undo,
+  unionBy,
+  validateField,
+  validatePayload,
+  validateShape,
+  withHistory,
 } from '../src/index';
 
 import {
@@ -169,6 +237,7 @@ describe('Support functions', () => {
           [11, { status: 11 }, false],
           [13, { status: 13 }, false],
           [15, { status: 15 }, false],
+          [0, { status: 0 }, false],
         );
       });
     });
@@ -323,6 +392,284 @@ describe('Redux Utils', () => {
         });
       });
     });
+    describe('given reducer options', () => {
+      const ADD_TYPE = 'ADD_TYPE';
+      const SAVE_TYPE = 'SAVE_TYPE';
+      const actionMap = {
+        [ADD_TYPE]: (state, action) => action.payload,
+        [SAVE_TYPE]: (state, action) => action.payload,
+      };
+
+      describe('with a named strategy for every action type', () => {
+        const reducer = createReducer([{ id: 1 }], actionMap, reducerOptions({
+          strategy: 'concat',
+        }));
+
+        it('should apply the strategy to the handler result', () => {
+          const result = reducer(undefined, { type: ADD_TYPE, payload: [{ id: 2 }] });
+
+          expect(result).to.deep.equal([{ id: 1 }, { id: 2 }]);
+        });
+      });
+
+      describe('with a strategy overridden per action type', () => {
+        const reducer = createReducer([{ id: 1, n: 1 }], actionMap, reducerOptions({
+          strategy: 'concat',
+          strategies: { [SAVE_TYPE]: 'unionById' },
+        }));
+
+        it('should use the default strategy for other action types', () => {
+          const result = reducer(undefined, { type: ADD_TYPE, payload: [{ id: 1, n: 2 }] });
+
+          expect(result).to.deep.equal([{ id: 1, n: 1 }, { id: 1, n: 2 }]);
+        });
+
+        it('should use the overriding strategy for its action type', () => {
+          const result = reducer(undefined, { type: SAVE_TYPE, payload: [{ id: 1, n: 2 }] });
+
+          expect(result).to.deep.equal([{ id: 1, n: 2 }]);
+        });
+      });
+
+      describe('with a custom strategy function', () => {
+        const reducer = createReducer(1, {
+          [ADD_TYPE]: (state, action) => action.payload,
+        }, reducerOptions({ strategy: (state, result) => state + result }));
+
+        it('should pass state and the handler result to the strategy', () => {
+          expect(reducer(undefined, { type: ADD_TYPE, payload: 2 })).to.equal(3);
+        });
+      });
+
+      describe('with an unknown strategy name', () => {
+        it('should throw', () => {
+          expect(() => createReducer({}, actionMap, reducerOptions({ strategy: 'nope' })))
+            .to.throw(TypeError, /nope/);
+        });
+      });
+    });
+
+    describe('given an action type missing from the action map', () => {
+      const defaultStateArray = ['test1'];
+      const reducer = createReducer(defaultStateArray, {});
+
+      it('should return state untouched', () => {
+        expect(reducer(undefined, dispatchedAction)).to.equal(defaultStateArray);
+      });
+    });
+
+    describe('given type patterns', () => {
+      const handle = name => (state, action) => ({ handledBy: name, type: action.type });
+      const reducer = createReducer({}, {
+        '@@/patients/load': handle('exact'),
+        '@@/patients/*': handle('prefix'),
+        '@@/patients/visits/*': handle('longer prefix'),
+        '*': handle('catch-all'),
+      }, matchAction(/\/FAILURE$/, handle('regex')),
+        matchAction(action => action.error === true, handle('predicate')),
+        reducerOptions({ strategies: { '@@/patients/*': 'replace' } }));
+      const handledBy = action => reducer({ kept: true }, action).handledBy;
+
+      it('should prefer the handler of the exact type', () => {
+        expect(handledBy({ type: '@@/patients/load' })).to.equal('exact');
+      });
+
+      it('should prefer the longest matching prefix', () => {
+        expect(handledBy({ type: '@@/patients/visits/load' })).to.equal('longer prefix');
+        expect(handledBy({ type: '@@/patients/save/FAILURE' })).to.equal('prefix');
+      });
+
+      it('should try matchers in order after prefixes', () => {
+        expect(handledBy({ type: '@@/visits/FAILURE', error: true })).to.equal('regex');
+        expect(handledBy({ type: '@@/visits/failed', error: true })).to.equal('predicate');
+      });
+
+      it('should match global and sticky patterns on every action', () => {
+        const flagged = createReducer({}, matchAction(/FAILURE$/g, handle('global')),
+          matchAction(/@@/y, handle('sticky')));
+        const types = ['@@/a/FAILURE', '@@/a/FAILURE', '@@/a/load', '@@/a/load'];
+
+        expect(types.map(type => flagged({}, { type }).handledBy))
+          .to.deep.equal(['global', 'global', 'sticky', 'sticky']);
+      });
+
+      it('should fall back to the catch-all handler', () => {
+        expect(handledBy({ type: '@@/visits/load' })).to.equal('catch-all');
+        expect(reducer({ kept: true }, { type: '@@/visits/load' })).to.have.property('kept', true);
+      });
+
+      it('should apply strategies by pattern key', () => {
+        expect(reducer({ kept: true }, { type: '@@/patients/save' })).to.deep.equal({
+          handledBy: 'prefix',
+          type: '@@/patients/save',
+        });
+      });
+
+      it('should return state as is when no handler matches', () => {
+        const state = {};
+        const strict = createReducer({}, { '@@/patients/*': handle('prefix') });
+        expect(strict(state, { type: '@@/visits/load' })).to.equal(state);
+      });
+
+      it('should throw for patterns that are not regular expressions or functions', () => {
+        expect(() => matchAction('@@/patients/*', handle('string')))
+          .to.throw(TypeError, 'Action patterns should be regular expressions or functions');
+      });
+    });
+
+    describe('given handlers that return equal values', () => {
+      const LOAD = '@@/test/load';
+      const defaultState = { patient: { name: 'Ada', tags: ['a'] }, visits: [{ id: 1 }], page: 1 };
+      const getLoaded = (state, { payload }) => payload;
+      const reducer = createReducer(defaultState, { [LOAD]: getLoaded });
+      const load = createAction(LOAD);
+
+      it('should return state as is when the merged result is shallow equal', () => {
+        expect(reducer(defaultState, load({ page: 1, patient: defaultState.patient })))
+          .to.equal(defaultState);
+      });
+
+      it('should return state as is when the merged result is deeply equal', () => {
+        expect(reducer(defaultState, load(JSON.parse(JSON.stringify(defaultState)))))
+          .to.equal(defaultState);
+      });
+
+      it('should keep the references of unchanged branches', () => {
+        const result = reducer(defaultState, load({
+          patient: { name: 'Ada', tags: ['a', 'b'] },
+          visits: [{ id: 1 }],
+        }));
+
+        expect(result).to.deep.equal({
+          patient: { name: 'Ada', tags: ['a', 'b'] },
+          visits: [{ id: 1 }],
+          page: 1,
+        });
+        expect(result.visits).to.equal(defaultState.visits);
+        expect(result.patient).not.to.equal(defaultState.patient);
+      });
+
+      it('should keep the references of unchanged array items', () => {
+        const list = createReducer([{ id: 1 }, { id: 2 }], { [LOAD]: getLoaded });
+        const state = list(undefined, { type: 'init' });
+        const result = list(state, load([{ id: 1 }, { id: 3 }, { id: 4 }]));
+
+        expect(result[0]).to.equal(state[0]);
+        expect(result).to.deep.equal([{ id: 1 }, { id: 3 }, { id: 4 }]);
+      });
+
+      it('should keep references across repeated loads of a large state', () => {
+        const entities = Array.from({ length: 500 }, (value, id) => ({
+          id,
+          name: `Patient ${id}`,
+          visits: [{ id, done: false }],
+        }));
+        const response = JSON.stringify({ entities });
+        const entityReducer = createReducer({ entities: [] }, { [LOAD]: getLoaded });
+
+        const first = entityReducer(undefined, load(JSON.parse(response)));
+        const states = Array.from({ length: 100 }, () =>
+          entityReducer(first, load(JSON.parse(response))));
+
+        expect(states.every(state => state === first)).to.equal(true);
+
+        const changed = JSON.parse(response);
+        changed.entities[7].visits[0].done = true;
+        const next = entityReducer(first, load(changed));
+        const kept = next.entities.filter((entity, index) => entity === first.entities[index]);
+
+        expect(kept).to.have.length(499);
+        expect(next.entities[7].name).to.equal('Patient 7');
+      });
+    });
+  });
+
+  /** @name mergeStrategies */
+  describe('#mergeStrategies', () => {
+    const {
+      shallowMerge,
+      deepMerge,
+      replace,
+      concat,
+      unionById,
+      mergeMap,
+      mergeSet,
+    } = mergeStrategies;
+
+    describe('shallowMerge', () => {
+      it('should merge objects one level deep', () => {
+        expect(shallowMerge({ a: 1, b: { c: 1 } }, { b: { d: 1 } }))
+          .to.deep.equal({ a: 1, b: { d: 1 } });
+      });
+
+      it('should replace anything else', () => {
+        expect(shallowMerge([1], [2])).to.deep.equal([2]);
+      });
+    });
+
+    describe('deepMerge', () => {
+      it('should merge nested objects', () => {
+        expect(deepMerge({ a: 1, b: { c: 1 } }, { b: { d: 1 } }))
+          .to.deep.equal({ a: 1, b: { c: 1, d: 1 } });
+      });
+
+      it('should replace nested arrays', () => {
+        expect(deepMerge({ a: [1] }, { a: [2] })).to.deep.equal({ a: [2] });
+      });
+
+      it('should replace state with a non object result', () => {
+        expect(deepMerge({ a: 1 }, 'b')).to.equal('b');
+      });
+    });
+
+    describe('replace', () => {
+      it('should return the handler result', () => {
+        expect(replace({ a: 1 }, { b: 1 })).to.deep.equal({ b: 1 });
+      });
+    });
+
+    describe('concat', () => {
+      it('should append the result array to the state array', () => {
+        expect(concat([1], [2, 3])).to.deep.equal([1, 2, 3]);
+      });
+
+      it('should replace state with a non array result', () => {
+        expect(concat([1], { a: 1 })).to.deep.equal({ a: 1 });
+      });
+    });
+
+    describe('unionById', () => {
+      it('should replace records by id and append new ones', () => {
+        expect(unionById([{ id: 1, n: 1 }, { id: 2 }], [{ id: 1, n: 2 }, { id: 3 }]))
+          .to.deep.equal([{ id: 1, n: 2 }, { id: 2 }, { id: 3 }]);
+      });
+    });
+
+    describe('mergeMap', () => {
+      const result = mergeMap(new Map([['a', 1], ['b', 1]]), new Map([['b', 2]]));
+
+      it('should merge the entries of both maps', () => {
+        expect([...result]).to.deep.equal([['a', 1], ['b', 2]]);
+      });
+    });
+
+    describe('mergeSet', () => {
+      const result = mergeSet(new Set([1, 2]), new Set([2, 3]));
+
+      it('should contain the values of both sets', () => {
+        expect([...result]).to.deep.equal([1, 2, 3]);
+      });
+    });
+  });
+
+  /** @name unionBy */
+  describe('#unionBy', () => {
+    const unionByName = unionBy('name');
+
+    it('should union records by the given key', () => {
+      expect(unionByName([{ name: 'a', n: 1 }], [{ name: 'a', n: 2 }, { name: 'b' }]))
+        .to.deep.equal([{ name: 'a', n: 2 }, { name: 'b' }]);
+    });
   });
 
   /** @name reduceReducers */
@@ -386,6 +733,114 @@ describe('Redux Utils', () => {
     });
   });
 
+  describe('#createAction with a payload schema', () => {
+    const schema = {
+      name: { type: 'String', required: true },
+      status: { enum: ['active', 'discharged'] },
+    };
+    const validPayload = { name: 'Ada', status: 'active' };
+    const invalidPayload = { status: 'lost' };
+    const meta = { testMetaKey: 'testMetaVal' };
+
+    describe('given a valid payload', () => {
+      const creator = createAction(TEST_ACTION_TYPE, { schema });
+
+      it('should create the action', () => {
+        expect(creator(validPayload, meta)).to.deep.equal({
+          type: TEST_ACTION_TYPE,
+          payload: validPayload,
+          meta,
+        });
+      });
+    });
+
+    describe('given an invalid payload', () => {
+      it('should throw a TypeError listing each problem by default', () => {
+        const creator = createAction(TEST_ACTION_TYPE, { schema });
+
+        expect(() => creator(invalidPayload)).to.throw(TypeError, /payload\.name is required/);
+        expect(() => creator(invalidPayload))
+          .to.throw(TypeError, /payload\.status should be one of/);
+      });
+
+      it('should log the problems and create the action when asked to', () => {
+        const creator = createAction(TEST_ACTION_TYPE, { schema, onInvalidPayload: 'log' });
+        const logged = [];
+        const consoleError = console.error; // eslint-disable-line no-console
+        console.error = message => logged.push(message); // eslint-disable-line no-console
+
+        try {
+          expect(creator(invalidPayload).payload).to.equal(invalidPayload);
+        } finally {
+          console.error = consoleError; // eslint-disable-line no-console
+        }
+
+        expect(logged).to.have.length(1);
+        expect(logged[0]).to.contain(TEST_ACTION_TYPE);
+      });
+
+      it('should create an error action of the INVALID type when asked to', () => {
+        const creator = createAction(TEST_ACTION_TYPE, { schema, onInvalidPayload: 'error' });
+        const action = creator(invalidPayload, meta);
+
+        expect(action.type).to.equal(`${TEST_ACTION_TYPE}/INVALID`);
+        expect(action.error).to.equal(true);
+        expect(action.meta).to.equal(meta);
+        expect(action.payload.payload).to.equal(invalidPayload);
+        expect(action.payload.errors).to.have.length(2);
+      });
+
+      it('should not run the handler of the action type for the error action', () => {
+        const creator = createAction(TEST_ACTION_TYPE, { schema, onInvalidPayload: 'error' });
+        const reducer = createReducer({ count: 0 }, {
+          [TEST_ACTION_TYPE]: state => ({ count: state.count + 1 }),
+        });
+
+        expect(reducer(undefined, creator(invalidPayload))).to.deep.equal({ count: 0 });
+      });
+
+      it('should create an error action of the invalidType when given one', () => {
+        const creator = createAction(TEST_ACTION_TYPE, {
+          schema,
+          onInvalidPayload: 'error',
+          invalidType: '@@/test/rejected',
+        });
+
+        expect(creator(invalidPayload).type).to.equal('@@/test/rejected');
+      });
+
+      it('should reject the promise of a thunk that dispatched an error action', () => {
+        const creator = createThunk(TEST_ACTION_TYPE, { schema, onInvalidPayload: 'error' });
+        const dispatch = d => d;
+
+        return expect(creator(invalidPayload)(dispatch)).to.be.rejected;
+      });
+
+      it('should use the app wide reaction unless the creator has one', () => {
+        const creator = createAction(TEST_ACTION_TYPE, { schema });
+        configureActions({ onInvalidPayload: 'error' });
+
+        try {
+          expect(creator(invalidPayload).error).to.equal(true);
+        } finally {
+          configureActions({ onInvalidPayload: 'throw' });
+        }
+      });
+
+      it('should not validate in production', () => {
+        const creator = createAction(TEST_ACTION_TYPE, { schema });
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+
+        try {
+          expect(creator(invalidPayload).payload).to.equal(invalidPayload);
+        } finally {
+          process.env.NODE_ENV = nodeEnv;
+        }
+      });
+    });
+  });
+
   /** @name actionTypeIs */
   describe('#actionTypeIs', () => {
     const type = 'TYPE';
@@ -433,6 +888,98 @@ describe('Redux Utils', () => {
     });
   });
 
+  /** @name isFSA */
+  describe('#isFSA', () => {
+    testCases(isFSA,
+      ['an action with only a type', { type: 'TYPE' }, true],
+      ['an action with every standard key',
+        { type: 'TYPE', payload: 1, meta: 1, error: false }, true],
+      ['an action with a message key', { type: 'TYPE', error: true, message: 'oops' }, false],
+      ['an action with a non string type', { type: 1 }, false],
+      ['an object without a type', {}, false],
+      ['a function', () => {}, false],
+      ['undefined', undefined, false],
+      ['null', null, false],
+    );
+  });
+
+  /** @name configureActions */
+  describe('#configureActions', () => {
+    const withFSA = test => () => {
+      configureActions({ fsa: true });
+      try {
+        test();
+      } finally {
+        configureActions({ fsa: false });
+      }
+    };
+
+    describe('given the fsa option', () => {
+      it('should leave nil payload and meta keys off actions', withFSA(() => {
+        expect(createAction(TEST_ACTION_TYPE)()).to.deep.equal({ type: TEST_ACTION_TYPE });
+        expect(createAction(TEST_ACTION_TYPE)(null, { a: 1 }))
+          .to.deep.equal({ type: TEST_ACTION_TYPE, meta: { a: 1 } });
+      }));
+
+      it('should create error actions with an Error payload', withFSA(() => {
+        const payload = { field: 'name' };
+        const action = createErrorAction(TEST_ACTION_TYPE, 'invalid')(payload);
+
+        expect(isFSA(action)).to.equal(true);
+        expect(action.error).to.equal(true);
+        expect(action.payload).to.be.an.instanceof(Error);
+        expect(action.payload.message).to.equal('invalid');
+        expect(action.payload.data).to.equal(payload);
+      }));
+
+      it('should use an Error payload as is', withFSA(() => {
+        const error = new Error('already an error');
+
+        expect(createErrorAction(TEST_ACTION_TYPE)(error).payload).to.equal(error);
+      }));
+
+      it('should keep an Error payload as the cause of the creator message', withFSA(() => {
+        const error = new Error('ECONNRESET');
+        const { payload } = createErrorAction(TEST_ACTION_TYPE, 'Could not load')(error);
+
+        expect(payload.message).to.equal('Could not load');
+        expect(payload.cause).to.equal(error);
+        expect(createErrorAction(TEST_ACTION_TYPE, 'ECONNRESET')(error).payload).to.equal(error);
+      }));
+
+      it('should keep the failure message of an async action', withFSA(() => {
+        const fetchThing = createAsyncAction('@@/test/fetch', () => null, {
+          message: 'Could not load',
+        });
+        const { payload } = fetchThing.failure(new Error('ECONNRESET'));
+
+        expect(payload.message).to.equal('Could not load');
+        expect(payload.cause.message).to.equal('ECONNRESET');
+      }));
+
+      it('should be overridden by creator options', withFSA(() => {
+        expect(isFSA(createErrorAction(TEST_ACTION_TYPE, 'invalid', { fsa: false })()))
+          .to.equal(false);
+      }));
+    });
+
+    describe('given fsa creator options without the app wide option', () => {
+      it('should create Flux Standard Actions', () => {
+        expect(createAction(TEST_ACTION_TYPE, { fsa: true })(1))
+          .to.deep.equal({ type: TEST_ACTION_TYPE, payload: 1 });
+        expect(isFSA(createErrorAction(TEST_ACTION_TYPE, 'oops', { fsa: true })()))
+          .to.equal(true);
+      });
+
+      it('should create Flux Standard Action thunks', () => {
+        const dispatch = d => d;
+
+        return expect(createThunk(TEST_ACTION_TYPE, { fsa: true })()(dispatch))
+          .to.eventually.deep.equal({ type: TEST_ACTION_TYPE });
+      });
+    });
+  });
+
   /** @name actionCreatorOrNew */
   describe('#actionCreatorOrNew', () => {
     const type = TEST_ACTION_TYPE;
@@ -643,6 +1190,138 @@ describe('Redux Utils', () => {
     });
   });
 
+  /** @name createAsyncAction */
+  describe('#createAsyncAction', () => {
+    const ASYNC_TYPE = '@@/test/fetch';
+    const payload = { id: 7 };
+    const meta = { testMetaKey: 'testMetaVal' };
+    const now = () => 1234;
+
+    const recordDispatches = () => {
+      const dispatched = [];
+      const dispatch = action => {
+        dispatched.push(action);
+        return action;
+      };
+      return { dispatched, dispatch };
+    };
+
+    describe('given a type and a resolving promise function', () => {
+      const fetchThing = createAsyncAction(ASYNC_TYPE, ({ id }) => Promise.resolve({ id }), {
+        now,
+        handlers: { success: createHandler('thing') },
+      });
+
+      testIfExists(fetchThing);
+      shouldBeAFunction(fetchThing);
+
+      it('should generate the three lifecycle types', () => {
+        expect(fetchThing.types).to.deep.equal({
+          REQUEST: `${ASYNC_TYPE}/REQUEST`,
+          SUCCESS: `${ASYNC_TYPE}/SUCCESS`,
+          FAILURE: `${ASYNC_TYPE}/FAILURE`,
+        });
+      });
+
+      it('should dispatch REQUEST then SUCCESS with the resolved value', () => {
+        const { dispatched, dispatch } = recordDispatches();
+
+        return fetchThing(payload, meta)(dispatch).then(result => {
+          expect(dispatched).to.deep.equal([
+            { type: fetchThing.types.REQUEST, payload, meta },
+            {
+              type: fetchThing.types.SUCCESS,
+              payload: { id: 7 },
+              meta: { ...meta, timestamp: 1234 },
+            },
+          ]);
+          expect(result).to.equal(dispatched[1]);
+        });
+      });
+
+      describe('the action map', () => {
+        const reducer = createReducer(asyncDefaultState, fetchThing.actionMap);
+        const requested = reducer(undefined, fetchThing.request(payload));
+
+        it('should set loading on REQUEST', () => {
+          expect(requested).to.deep.equal({ loading: true, error: null, lastUpdated: null });
+        });
+
+        it('should clear loading and stamp lastUpdated on SUCCESS', () => {
+          expect(reducer(requested, fetchThing.success({ id: 7 }))).to.deep.equal({
+            loading: false,
+            error: null,
+            lastUpdated: 1234,
+            thing: { id: 7 },
+          });
+        });
+
+        it('should take lastUpdated from the SUCCESS meta, not the clock', () => {
+          const action = { type: fetchThing.types.SUCCESS, payload: {}, meta: { timestamp: 99 } };
+
+          expect(reducer(requested, action).lastUpdated).to.equal(99);
+        });
+
+        it('should clear loading and keep the error message on FAILURE', () => {
+          expect(reducer(requested, fetchThing.failure(new Error('nope')))).to.deep.equal({
+            loading: false,
+            error: 'nope',
+            lastUpdated: null,
+          });
+        });
+
+        it('should keep the error message of a Flux Standard FAILURE action', () => {
+          configureActions({ fsa: true });
+
+          try {
+            const failure = fetchThing.failure(new Error('nope'));
+
+            expect(isFSA(failure)).to.equal(true);
+            expect(reducer(requested, failure).error).to.equal('nope');
+          } finally {
+            configureActions({ fsa: false });
+          }
+        });
+      });
+    });
+
+    describe('given a promise function that rejects', () => {
+      const error = new Error('server is sad');
+      const fetchThing = createAsyncAction(ASYNC_TYPE, () => Promise.reject(error));
+
+      it('should dispatch REQUEST then a FAILURE error action and reject with it', () => {
+        const { dispatched, dispatch } = recordDispatches();
+
+        return fetchThing(payload)(dispatch).then(
+          () => { throw new Error('should have rejected'); },
+          failure => {
+            expect(dispatched.map(action => action.type))
+              .to.deep.equal([fetchThing.types.REQUEST, fetchThing.types.FAILURE]);
+            expect(failure).to.equal(dispatched[1]);
+            expect(failure.error).to.equal(true);
+            expect(failure.message).to.equal('server is sad');
+            expect(failure.payload).to.equal(error);
+          }
+        );
+      });
+    });
+
+    describe('given a promise function that throws and a failure message', () => {
+      const message = 'could not fetch';
+      const fetchThing = createAsyncAction(ASYNC_TYPE, () => { throw new Error('boom'); }, {
+        message,
+      });
+
+      it('should reject with a FAILURE action using the message', () => {
+        const { dispatch } = recordDispatches();
+
+        return expect(fetchThing()(dispatch)).to.be.rejected.then(failure => {
+          expect(failure.message).to.equal(message);
+        });
+      });
+    });
+  });
+
   /** @name createHandler */
   describe('#createHandler', () => {
     const key = 'testKey';
@@ -681,62 +1360,222 @@ describe('Redux Utils', () => {
     });
   });
 
-  describe('Lens Functions', () => {
-    const testObj = {
-      simpleKey: 'value',
-      objectKey: {
-        key1: 'value1',
-        key2: 'value2',
-        nestedObjectKey: {
-          key3: 'value3',
-          key4: 'value4',
-        },
-      },
-    };
-
-    /** @name createSelector */
-    describe('#createSelector', () => {
-      describe('when passed a single prop name', () => {
-        const selector = createSelector('simpleKey');
+  /** @name namespaceType */
+  describe('#namespaceType', () => {
+    it('should prefix the action name with the namespace', () => {
+      expect(namespaceType('patients', 'fetchPatients')).to.equal('@@/patients/fetchPatients');
+    });
+  });
 
-        describe('the return value should be a function', () => {
-          testIfExists(selector);
-          shouldBeAFunction(selector);
-        });
+  /** @name validateField */
+  describe('#validateField', () => {
+    const check = (field, value) => validateField(field, value, 'field');
 
-        describe('given an object with a top level key, the selector', () => {
-          const selected = selector(testObj);
+    it('should accept a value of the given type', () => {
+      expect(check('String', 'a')).to.deep.equal([]);
+    });
 
-          testIfExists(selected);
-          shouldBeAString(selected);
-          it('should get the correct value for the "simpleKey" property', () => {
-            expect(selected).to.equal(testObj.simpleKey);
-          });
-        });
+    it('should accept any of a list of types', () => {
+      expect(check(['String', 'Null'], null)).to.deep.equal([]);
+    });
 
-        describe('given an undefined value', () => {
-          shouldNotThrow(selector, undefined);
-        });
+    it('should reject a value of none of a list of types', () => {
+      expect(check(['String', 'Null'], 1))
+        .to.deep.equal(['field should be of type String or Null but got Number']);
+    });
 
-        describe('given an empty object the result', () => {
-          const result = selector({});
+    it('should reject a value of another type', () => {
+      expect(check('String', 1))
+        .to.deep.equal(['field should be of type String but got Number']);
+    });
 
-          shouldBeUndefined(result);
-          shouldNotBeNull(result);
-          shouldNotThrow(selector, {});
-        });
-      });
+    it('should reject a missing required value', () => {
+      expect(check({ type: 'String', required: true }, undefined))
+        .to.deep.equal(['field is required']);
+    });
 
-      describe('when passed an array of property names (path to key)', () => {
-        const selector = createSelector(['objectKey', 'nestedObjectKey', 'key4']);
+    it('should accept a missing optional value', () => {
+      expect(check({ type: 'String' }, undefined)).to.deep.equal([]);
+    });
 
-        describe('the return value should be a function', () => {
-          testIfExists(selector);
-          shouldBeAFunction(selector);
-        });
+    it('should reject a value outside of an enum', () => {
+      expect(check({ enum: ['a', 'b'] }, 'c')).to.deep.equal(['field should be one of a, b']);
+    });
 
-        describe('given a deep nested key, the selector', () => {
-          const selected = selector(testObj);
+    it('should validate nested shapes', () => {
+      expect(check({ shape: { zip: { type: 'String', required: true } } }, {}))
+        .to.deep.equal(['field.zip is required']);
+    });
+
+    it('should validate array items', () => {
+      expect(check({ items: 'Number' }, [1, 'b']))
+        .to.deep.equal(['field[1] should be of type Number but got String']);
+    });
+  });
+
+  /** @name validateShape */
+  describe('#validateShape', () => {
+    it('should validate each key of the schema', () => {
+      expect(validateShape({ a: 'Number', b: 'String' }, { a: 'x', b: 1 }, 'obj')).to.deep.equal([
+        'obj.a should be of type Number but got String',
+        'obj.b should be of type String but got Number',
+      ]);
+    });
+  });
+
+  /** @name validatePayload */
+  describe('#validatePayload', () => {
+    const schema = { id: { type: 'Number', required: true } };
+
+    testCases(payload => validatePayload(schema, payload).length,
+      ['a valid payload', { id: 1 }, 0],
+      ['an invalid payload', { id: '1' }, 1],
+      ['an undefined payload', undefined, 1],
+    );
+  });
+
+  /** @name createDuck */
+  describe('#createDuck', () => {
+    const message = 'could not load';
+    const duck = createDuck('duckTest', {
+      defaultState: { list: [] },
+      actions: {
+        receiveList: createHandler('list'),
+        clearList: { handler: () => ({ list: [] }) },
+        receiveListFailed: { error: true, message },
+      },
+    });
+
+    describe('the duck returned', () => {
+      testIfExists(duck);
+      shouldHaveKeys(duck, 'namespace', 'types', 'actions', 'thunks', 'reducer');
+      shouldBeAFunction(duck.reducer);
+    });
+
+    it('should create a namespaced type constant per action', () => {
+      expect(duck.types).to.deep.equal({
+        RECEIVE_LIST: '@@/duckTest/receiveList',
+        CLEAR_LIST: '@@/duckTest/clearList',
+        RECEIVE_LIST_FAILED: '@@/duckTest/receiveListFailed',
+      });
+    });
+
+    it('should create an action creator per action', () => {
+      expect(duck.actions.receiveList([1])).to.deep.equal({
+        type: duck.types.RECEIVE_LIST,
+        payload: [1],
+        meta: {},
+      });
+    });
+
+    it('should create error action creators for error actions', () => {
+      const action = duck.actions.receiveListFailed();
+
+      expect(action.error).to.equal(true);
+      expect(action.message).to.equal(message);
+    });
+
+    it('should create a thunk per action', () => {
+      const dispatch = d => d;
+
+      return expect(duck.thunks.receiveList([1])(dispatch))
+        .to.eventually.have.property('type', duck.types.RECEIVE_LIST);
+    });
+
+    it('should create error thunks for error actions', () => {
+      const dispatch = d => d;
+
+      return expect(duck.thunks.receiveListFailed()(dispatch)).to.be.rejected;
+    });
+
+    it('should create a reducer handling each action with a handler', () => {
+      const filled = duck.reducer(undefined, duck.actions.receiveList([1, 2]));
+
+      expect(filled).to.deep.equal({ list: [1, 2] });
+      expect(duck.reducer(filled, duck.actions.clearList())).to.deep.equal({ list: [] });
+    });
+
+    it('should pass reducer options to the reducer', () => {
+      const concatDuck = createDuck('duckOptionsTest', {
+        defaultState: [1],
+        actions: { add: getPayload },
+        options: reducerOptions({ strategy: 'concat' }),
+      });
+
+      expect(concatDuck.reducer(undefined, concatDuck.actions.add([2]))).to.deep.equal([1, 2]);
+    });
+
+    describe('given a namespace and action already registered by another duck', () => {
+      it('should throw naming the colliding type', () => {
+        expect(() => createDuck('duckTest', { actions: { receiveList: identity } }))
+          .to.throw(Error, '@@/duckTest/receiveList');
+      });
+
+      it('should not throw once the registry is reset', () => {
+        resetDuckRegistry();
+
+        expect(() => createDuck('duckTest', { actions: { receiveList: identity } }))
+          .to.not.throw();
+      });
+    });
+  });
+
+  describe('Lens Functions', () => {
+    const testObj = {
+      simpleKey: 'value',
+      objectKey: {
+        key1: 'value1',
+        key2: 'value2',
+        nestedObjectKey: {
+          key3: 'value3',
+          key4: 'value4',
+        },
+      },
+    };
+
+    /** @name createSelector */
+    describe('#createSelector', () => {
+      describe('when passed a single prop name', () => {
+        const selector = createSelector('simpleKey');
+
+        describe('the return value should be a function', () => {
+          testIfExists(selector);
+          shouldBeAFunction(selector);
+        });
+
+        describe('given an object with a top level key, the selector', () => {
+          const selected = selector(testObj);
+
+          testIfExists(selected);
+          shouldBeAString(selected);
+          it('should get the correct value for the "simpleKey" property', () => {
+            expect(selected).to.equal(testObj.simpleKey);
+          });
+        });
+
+        describe('given an undefined value', () => {
+          shouldNotThrow(selector, undefined);
+        });
+
+        describe('given an empty object the result', () => {
+          const result = selector({});
+
+          shouldBeUndefined(result);
+          shouldNotBeNull(result);
+          shouldNotThrow(selector, {});
+        });
+      });
+
+      describe('when passed an array of property names (path to key)', () => {
+        const selector = createSelector(['objectKey', 'nestedObjectKey', 'key4']);
+
+        describe('the return value should be a function', () => {
+          testIfExists(selector);
+          shouldBeAFunction(selector);
+        });
+
+        describe('given a deep nested key, the selector', () => {
+          const selected = selector(testObj);
 
           testIfExists(selected);
           shouldBeAString(selected);
@@ -762,6 +1601,93 @@ describe('Redux Utils', () => {
       });
     });
 
+    describe('#createSelector with input selectors and a combiner', () => {
+      const state = {
+        todos: [{ id: 1, done: true }, { id: 2, done: false }],
+        filters: { done: true },
+      };
+      const getTodos = createSelector('todos');
+      let combinerCalls = 0;
+      const getVisibleTodos = createSelector(getTodos, ['filters', 'done'], (todos, done) => {
+        combinerCalls += 1;
+        return todos.filter(todo => todo.done === done);
+      });
+
+      testIfExists(getVisibleTodos);
+      shouldBeAFunction(getVisibleTodos);
+
+      it('should combine the results of its inputs', () => {
+        expect(getVisibleTodos(state)).to.deep.equal([{ id: 1, done: true }]);
+      });
+
+      it('should return the cached result while inputs are unchanged', () => {
+        const first = getVisibleTodos(state);
+        const second = getVisibleTodos({ ...state, unrelated: true });
+
+        expect(second).to.equal(first);
+        expect(combinerCalls).to.equal(1);
+      });
+
+      it('should recompute when an input changes by reference', () => {
+        getVisibleTodos({ ...state, filters: { done: false } });
+
+        expect(combinerCalls).to.equal(2);
+      });
+
+      it('should report cache hits and misses', () => {
+        expect(getVisibleTodos.getStats()).to.deep.equal({ hits: 2, misses: 2, size: 1 });
+      });
+
+      it('should reset its cache and stats', () => {
+        getVisibleTodos.clearCache();
+        expect(getVisibleTodos.getStats()).to.deep.equal({ hits: 0, misses: 0, size: 0 });
+      });
+
+      it('should pass extra arguments to input selectors', () => {
+        const getById = createSelector('todos', (_, id) => id,
+          (todos, id) => todos.find(todo => todo.id === id));
+
+        expect(getById(state, 2)).to.equal(state.todos[1]);
+      });
+
+      it('should throw without a combiner function', () => {
+        expect(() => createSelector('todos', 'filters')).to.throw(TypeError);
+      });
+
+      it('should throw for a lone function rather than read it as a path', () => {
+        expect(() => createSelector(todoState => todoState.todos))
+          .to.throw(TypeError, 'A composed selector expects input selectors before its combiner');
+      });
+    });
+
+    /** @name createSelectorCreator */
+    describe('#createSelectorCreator', () => {
+      const createCachedSelector = createSelectorCreator({ cacheSize: 2 });
+      const getPage = createCachedSelector('items', (_, page) => page,
+        (items, page) => items.slice(page, page + 1));
+      const state = { items: [1, 2, 3] };
+
+      it('should keep as many results as its cache size', () => {
+        getPage(state, 0);
+        getPage(state, 1);
+        getPage(state, 0);
+        getPage(state, 1);
+
+        expect(getPage.getStats()).to.deep.equal({ hits: 2, misses: 2, size: 2 });
+      });
+
+      it('should evict the least recently used result', () => {
+        getPage(state, 2);
+        getPage(state, 0);
+
+        expect(getPage.getStats()).to.deep.equal({ hits: 2, misses: 4, size: 2 });
+      });
+
+      it('should throw given an invalid cache size', () => {
+        expect(() => createSelectorCreator({ cacheSize: 0 })).to.throw(TypeError, /cacheSize/);
+      });
+    });
+
     /** @name createSetter */
     describe('#createSetter', () => {
       describe('when passed a single property name', () => {
@@ -814,6 +1740,283 @@ describe('Redux Utils', () => {
         });
       });
     });
+
+    /** @name getLens */
+    describe('#getLens', () => {
+      const state = {
+        orders: [
+          { id: 7, status: 'new', items: [{ sku: 'a' }, { sku: 'b' }] },
+          { id: 8, status: 'new', items: [{ sku: 'c' }] },
+        ],
+      };
+
+      testIfExists(getLens);
+
+      it('should focus on the element at a negative index from the end', () => {
+        const lastOrder = getLens(['orders', -1, 'id']);
+
+        expect(view(lastOrder, state)).to.equal(8);
+        expect(set(lastOrder, 9, state).orders.map(order => order.id)).to.deep.equal([7, 9]);
+        expect(view(getLens(['orders', -3, 'id']), state)).to.equal(undefined);
+        expect(set(getLens(['orders', -3, 'id']), 9, state)).to.equal(state);
+      });
+
+      it('should focus on the first element matching an object', () => {
+        const status = getLens(['orders', { id: 7 }, 'status']);
+        const written = set(status, 'shipped', state);
+
+        expect(view(status, state)).to.equal('new');
+        expect(written.orders.map(order => order.status)).to.deep.equal(['shipped', 'new']);
+        expect(written.orders[1]).to.equal(state.orders[1]);
+      });
+
+      it('should focus on the first element matching a predicate', () => {
+        const bigOrder = getLens(['orders', order => order.items.length > 1, 'id']);
+        expect(view(bigOrder, state)).to.equal(7);
+      });
+
+      it('should leave the target as is when no element matches', () => {
+        const missing = getLens(['orders', { id: 1 }, 'status']);
+
+        expect(view(missing, state)).to.equal(undefined);
+        expect(set(missing, 'shipped', state)).to.equal(state);
+      });
+
+      it('should focus on every element with a wildcard', () => {
+        const skus = getLens(['orders', '*', 'items', '*', 'sku']);
+
+        expect(view(skus, state)).to.deep.equal([['a', 'b'], ['c']]);
+        expect(view(skus, set(skus, 'z', state))).to.deep.equal([['z', 'z'], ['z']]);
+      });
+
+      it('should focus on every value of an object with a wildcard', () => {
+        const byId = { 1: { done: false }, 2: { done: false } };
+
+        expect(view(getLens(['*', 'done']), byId)).to.deep.equal([false, false]);
+        expect(set(getLens(['*', 'done']), true, byId))
+          .to.deep.equal({ 1: { done: true }, 2: { done: true } });
+      });
+
+      it('should be understood by createSelector and createSetter', () => {
+        const setStatus = createSetter(['orders', { id: 8 }, 'status']);
+        const getStatuses = createSelector(['orders', '*', 'status']);
+
+        expect(getStatuses(setStatus('shipped', state))).to.deep.equal(['new', 'shipped']);
+      });
+
+      it('should create missing objects along the path', () => {
+        expect(set(getLens(['a', 'b', -1]), 1, {})).to.deep.equal({});
+        expect(set(getLens(['a', 'b', '*']), 1, {})).to.deep.equal({});
+        expect(set(getLens(['a', -1, 'b']), 1, { a: [{}] })).to.deep.equal({ a: [{ b: 1 }] });
+        expect(set(getLens(['a', '*', 'b', 'c']), 1, { a: [{}] }))
+          .to.deep.equal({ a: [{ b: { c: 1 } }] });
+      });
+
+      it('should return the target when the value is already set', () => {
+        expect(set(getLens(['orders', { id: 7 }, 'status']), 'new', state)).to.equal(state);
+      });
+
+      describe('given a path string', () => {
+        const entities = { byId: { 3: { name: 'Ada', 'first.last': 'Ada L' } } };
+
+        it('should read dot separated keys', () => {
+          expect(view(getLens('objectKey.nestedObjectKey.key3'), testObj)).to.equal('value3');
+        });
+
+        it('should read bracketed indexes, wildcards and quoted keys', () => {
+          expect(view(getLens('orders[0].items[1].sku'), state)).to.equal('b');
+          expect(view(getLens('orders[-1].id'), state)).to.equal(8);
+          expect(view(getLens('orders[*].id'), state)).to.deep.equal([7, 8]);
+          expect(view(getLens('orders.*.status'), state)).to.deep.equal(['new', 'new']);
+          expect(view(getLens('byId[3]["first.last"]'), entities)).to.equal('Ada L');
+        });
+
+        it('should set the value at the path, keeping arrays', () => {
+          const written = set(getLens('orders[1].status'), 'shipped', state);
+
+          expect(written.orders).to.be.an('array');
+          expect(written.orders[1].status).to.equal('shipped');
+          expect(written.orders[0]).to.equal(state.orders[0]);
+        });
+
+        it('should set digit keys as indexes, keeping arrays', () => {
+          const written = createSetter('orders.1.status')('shipped', state);
+          const codes = createSetter('codes.200')('OK', {});
+
+          expect(written.orders).to.be.an('array');
+          expect(written.orders[1].status).to.equal('shipped');
+          expect(codes).to.deep.equal({ codes: { 200: 'OK' } });
+          expect(view(getLens('codes.007'), { codes: { '007': 'bond' } })).to.equal('bond');
+        });
+
+        it('should still parse paths once more paths are used than are cached', () => {
+          range(0, 600).forEach(index => getLens(`orders[0].items[0].key${index}`));
+          expect(view(getLens('orders[0].items[1].sku'), state)).to.equal('b');
+        });
+
+        it('should keep a single key as a top level key', () => {
+          expect(view(getLens('simpleKey'), testObj)).to.equal('value');
+        });
+
+        it('should return a lens factory for a template path', () => {
+          const nameLens = getLens('byId.:id.name');
+
+          expect(view(nameLens({ id: 3 }), entities)).to.equal('Ada');
+          expect(view(getLens('orders.:index.id')({ index: 1 }), state)).to.equal(8);
+        });
+
+        it('should tell template paths apart', () => {
+          expect(isTemplatePath('byId.:id.name')).to.equal(true);
+          expect(isTemplatePath('byId[3].name')).to.equal(false);
+          expect(isTemplatePath(['byId', ':id'])).to.equal(false);
+        });
+
+        it('should list the segments of a path', () => {
+          expect(pathSegments('orders[-1].items[*].sku'))
+            .to.deep.equal(['orders', -1, 'items', '*', 'sku']);
+          expect(pathSegments('orders.0.status')).to.deep.equal(['orders', 0, 'status']);
+          expect(pathSegments(['orders', 0])).to.deep.equal(['orders', 0]);
+        });
+
+        it('should throw a TypeError naming a missing param', () => {
+          expect(() => getLens('byId.:id.name')({}))
+            .to.throw(TypeError, 'Missing param "id" for path "byId.:id.name"');
+        });
+
+        testCases(propPath => {
+          try {
+            getLens(propPath);
+            return 'parsed';
+          } catch (error) {
+            return `${error.name}: ${error.message}`;
+          }
+        },
+          ['a doubled dot', 'a..b', 'TypeError: Malformed path "a..b" at position 1'],
+          ['a leading dot', '.a', 'TypeError: Malformed path ".a" at position 0'],
+          ['a trailing dot', 'a.', 'TypeError: Malformed path "a." at position 1'],
+          ['an unclosed bracket', 'a[0', 'TypeError: Malformed path "a[0" at position 1'],
+          ['a bracketed key', 'a[b]', 'TypeError: Malformed path "a[b]" at position 1'],
+          ['a missing dot', 'a[0]b', 'TypeError: Malformed path "a[0]b" at position 4'],
+        );
+
+        it('should be understood by createSelector and createSetter', () => {
+          const getName = createSelector('byId.:id.name');
+          const setName = createSetter('byId.:id.name');
+
+          expect(createSelector('orders[0].items[0].sku')(state)).to.equal('a');
+          expect(getName({ id: 3 })(setName({ id: 3 })('Alan', entities))).to.equal('Alan');
+        });
+
+        it('should take template params from the second argument in composed selectors', () => {
+          const getShout = createSelector('byId.:id.name', name => name.toUpperCase());
+          expect(getShout(entities, { id: 3 })).to.equal('ADA');
+        });
+      });
+    });
+  });
+
+  /** @name statusFilter */
+  describe('#statusFilter', () => {
+    const headers = { get: name => (name === 'location' ? '/elsewhere' : undefined) };
+    const response = (status, value) =>
+      ({ status, statusText: `status ${status}`, headers, value });
+
+    testCases(result => JSON.stringify(statusFilter(result)),
+      ['an empty response', {}, '{}'],
+      ['a 200 response', response(200, '{"data":1}'), '{"data":1}'],
+      ['a 204 response', response(204), '{}'],
+      ['a 205 response', response(205, ''), '{}'],
+      ['a 302 response', response(302), '{"redirect_to":"/elsewhere"}'],
+      ['a 304 response', response(304), '{}'],
+      ['a 401 response', response(401), '{"redirect_to":"/elsewhere"}'],
+      ['a 302 response without headers', { status: 302 }, '{"redirect_to":null}'],
+    );
+
+    describe('given a 422 response with a validation body', () => {
+      const result = statusFilter(response(422, '{"errors":{"name":"required"}}'));
+
+      it('should return an error action with the status and parsed body', () => {
+        expect(result).to.deep.equal({
+          type: FETCH_ERROR,
+          error: true,
+          message: 'Request failed with status 422',
+          payload: {
+            status: 422,
+            statusText: 'status 422',
+            body: { errors: { name: 'required' } },
+          },
+          meta: {},
+        });
+      });
+    });
+
+    describe('given a 503 response with an html body', () => {
+      const result = statusFilter(response(503, '<h1>down</h1>'));
+
+      it('should return an error action keeping the unparsed body', () => {
+        expect(isErrorAction(result)).to.equal(true);
+        expect(result.payload.body).to.equal('<h1>down</h1>');
+      });
+    });
+  });
+
+  /** @name registerStatusHandler */
+  describe('#registerStatusHandler', () => {
+    afterEach(resetStatusHandlers);
+
+    it('should handle responses of its status', () => {
+      registerStatusHandler(404, () => ({ notFound: true }));
+
+      expect(statusFilter({ status: 404 })).to.deep.equal({ notFound: true });
+    });
+
+    it('should override built in handling', () => {
+      registerStatusHandler(200, () => 'mine');
+
+      expect(statusFilter({ status: 200, value: '{}' })).to.equal('mine');
+    });
+
+    it('should be forgotten once handlers are reset', () => {
+      registerStatusHandler(200, () => 'mine');
+      resetStatusHandlers();
+
+      expect(statusFilter({ status: 200, value: '{}' })).to.deep.equal({});
+    });
+  });
+
+  /** @name isErrorAction */
+  describe('#isErrorAction', () => {
+    testCases(isErrorAction,
+      ['an error action', { type: 'TYPE', error: true }, true],
+      ['an action', { type: 'TYPE' }, false],
+      ['an object with an error key but no type', { error: true }, false],
+      ['null', null, false],
+    );
+  });
+
+  /** @name routeErrorAction */
+  describe('#routeErrorAction', () => {
+    const errorAction = { type: FETCH_ERROR, error: true, message: 'oops', payload: 1, meta: 2 };
+
+    it('should keep the action given nil', () => {
+      expect(routeErrorAction(undefined, errorAction)).to.equal(errorAction);
+    });
+
+    it('should replace the type given a type string', () => {
+      expect(routeErrorAction(TEST_ACTION_TYPE, errorAction))
+        .to.deep.equal({ ...errorAction, type: TEST_ACTION_TYPE });
+    });
+
+    it('should call an error action creator with payload and meta', () => {
+      expect(routeErrorAction(createErrorAction(TEST_ACTION_TYPE, 'mine'), errorAction))
+        .to.deep.equal({
+          type: TEST_ACTION_TYPE,
+          error: true,
+          message: 'mine',
+          payload: 1,
+          meta: 2,
+        });
+    });
   });
 
   /** @name fetchCallback */
@@ -916,6 +2119,21 @@ describe('Redux Utils', () => {
       });
     });
 
+    describe('when passed a failing response', () => {
+      const failing = { status: 500, statusText: 'Server Error', value: '{}' };
+
+      it('should return the error action instead of calling back', () => {
+        expect(fetchCallback(testFetchHandler)(failing).type).to.equal(FETCH_ERROR);
+      });
+
+      it('should route the error action given an onError type', () => {
+        const result = fetchCallback(testFetchHandler, 'TEST_ERROR_TYPE')(failing);
+
+        expect(result.type).to.equal('TEST_ERROR_TYPE');
+        expect(result.payload.status).to.equal(500);
+      });
+    });
+
     describe('when passed a valid action type string', () => {
       const callback = fetchCallback(TEST_ACTION_TYPE);
       const responseObject = okResponse;
@@ -941,4 +2159,2143 @@ describe('Redux Utils', () => {
       });
     });
   });
+
+  /** @name fetchAction */
+  describe('#fetchAction', () => {
+    it('should describe a fetch call and its callbacks', () => {
+      expect(fetchAction('/things', { method: 'POST' }, { onSuccess: TEST_ACTION_TYPE }))
+        .to.deep.equal({
+          type: EFFECT_FETCH,
+          payload: { url: '/things', params: { method: 'POST' } },
+          meta: { onSuccess: TEST_ACTION_TYPE },
+        });
+    });
+  });
+
+  /** @name buildRequest */
+  describe('#buildRequest', () => {
+    it('should default to a GET without a body', () => {
+      expect(buildRequest()).to.deep.equal({ method: 'GET', headers: {} });
+    });
+
+    it('should send object bodies as JSON', () => {
+      expect(buildRequest({ method: 'POST', body: { a: 1 }, credentials: 'include' }))
+        .to.deep.equal({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: '{"a":1}',
+          credentials: 'include',
+        });
+    });
+
+    it('should keep a given content type and string body', () => {
+      const headers = { 'content-type': 'text/plain' };
+
+      expect(buildRequest({ method: 'PUT', body: 'hi', headers }))
+        .to.deep.equal({ method: 'PUT', headers, body: 'hi' });
+    });
+  });
+
+  /** @name createFetchMiddleware */
+  describe('#createFetchMiddleware', () => {
+    const ERROR_TYPE = 'TEST_ERROR_TYPE';
+    const url = 'http://www.testy-pants.com/things';
+
+    const stubResponse = (status, body, headers = {}) => ({
+      url,
+      status,
+      statusText: `status ${status}`,
+      headers: { get: name => headers[name] },
+      text: () => Promise.resolve(body),
+    });
+
+    const setup = respond => {
+      const requests = [];
+      const dispatched = [];
+      const fetch = (requestUrl, init) => {
+        requests.push({ url: requestUrl, init });
+        return respond();
+      };
+      const dispatch = action => {
+        dispatched.push(action);
+        return action;
+      };
+      const passed = [];
+      const next = action => {
+        passed.push(action);
+        return action;
+      };
+      const invoke = createFetchMiddleware({ fetch })({ dispatch })(next);
+
+      return { invoke, requests, dispatched, passed };
+    };
+
+    const callbacks = { onSuccess: TEST_ACTION_TYPE, onError: ERROR_TYPE };
+
+    it('should pass other actions to the next middleware', () => {
+      const { invoke, passed, requests } = setup();
+      const action = { type: TEST_ACTION_TYPE };
+
+      expect(invoke(action)).to.equal(action);
+      expect(passed).to.deep.equal([action]);
+      expect(requests).to.have.length(0);
+    });
+
+    it('should fetch the request built from the params', () => {
+      const { invoke, requests } = setup(() =>
+        Promise.resolve(stubResponse(200, '{"data":1}')));
+
+      return invoke(fetchAction(url, { method: 'POST', body: { a: 1 } }, callbacks)).then(() => {
+        expect(requests).to.deep.equal([{
+          url,
+          init: buildRequest({ method: 'POST', body: { a: 1 } }),
+        }]);
+      });
+    });
+
+    it('should dispatch and resolve with a success action for a 2xx response', () => {
+      const { invoke, dispatched } = setup(() =>
+        Promise.resolve(stubResponse(200, '{"data":{"id":1},"meta":{"page":2}}')));
+
+      return invoke(fetchAction(url, {}, callbacks)).then(action => {
+        const expected = { type: TEST_ACTION_TYPE, payload: { id: 1 }, meta: { page: 2 } };
+
+        expect(action).to.deep.equal(expected);
+        expect(dispatched).to.deep.equal([expected]);
+      });
+    });
+
+    it('should resolve with the response shape without an onSuccess callback', () => {
+      const { invoke, dispatched } = setup(() => Promise.resolve(stubResponse(200, '{}')));
+
+      return invoke(fetchAction(url)).then(response => {
+        expect(response).to.contain.all.keys('url', 'status', 'statusText', 'headers', 'value');
+        expect(dispatched).to.have.length(0);
+      });
+    });
+
+    it('should deliver a 401 redirect to the success action', () => {
+      const { invoke } = setup(() =>
+        Promise.resolve(stubResponse(401, '', { location: '/login' })));
+
+      return invoke(fetchAction(url, {}, callbacks)).then(action => {
+        expect(action.payload).to.deep.equal({ redirect_to: '/login' });
+      });
+    });
+
+    it('should dispatch and reject with an error action for a failing response', () => {
+      const { invoke, dispatched } = setup(() =>
+        Promise.resolve(stubResponse(500, '{"reason":"down"}')));
+
+      return expect(invoke(fetchAction(url, {}, callbacks))).to.be.rejected.then(action => {
+        expect(action.type).to.equal(ERROR_TYPE);
+        expect(action.error).to.equal(true);
+        expect(action.payload).to.deep.equal({
+          status: 500,
+          statusText: 'status 500',
+          body: { reason: 'down' },
+        });
+        expect(dispatched).to.deep.equal([action]);
+      });
+    });
+
+    it('should dispatch and reject with an error action when the request fails', () => {
+      const { invoke } = setup(() => Promise.reject(new TypeError('Failed to fetch')));
+
+      return expect(invoke(fetchAction(url, {}, callbacks))).to.be.rejected.then(action => {
+        expect(action.type).to.equal(ERROR_TYPE);
+        expect(action.message).to.equal('Failed to fetch');
+        expect(action.payload).to.deep.equal({ url });
+      });
+    });
+
+    it('should reject with a FETCH_ERROR action without an onError callback', () => {
+      const { invoke, dispatched } = setup(() => Promise.resolve(stubResponse(404, 'Not Found')));
+
+      return expect(invoke(fetchAction(url))).to.be.rejected.then(action => {
+        expect(action.type).to.equal(FETCH_ERROR);
+        expect(action.payload.body).to.equal('Not Found');
+        expect(dispatched).to.have.length(0);
+      });
+    });
+
+    it('should use given action creators', () => {
+      const onSuccess = data => ({ type: 'CUSTOM', data });
+      const { invoke } = setup(() => Promise.resolve(stubResponse(200, '{"data":3}')));
+
+      return invoke(fetchAction(url, {}, { onSuccess })).then(action => {
+        expect(action).to.deep.equal({ type: 'CUSTOM', data: 3 });
+      });
+    });
+  });
+
+  /** @name createEntityAdapter */
+  describe('#createEntityAdapter', () => {
+    const adapter = createEntityAdapter();
+    const ada = { id: 1, name: 'Ada' };
+    const grace = { id: 2, name: 'Grace' };
+    const state = { loading: false, byId: { 1: ada, 2: grace }, allIds: [1, 2] };
+    const handle = (handler, payload, from = state) => handler(from, { payload });
+
+    it('should create an initial state with extra keys', () => {
+      expect(adapter.getInitialState({ loading: false }))
+        .to.deep.equal({ loading: false, byId: {}, allIds: [] });
+    });
+
+    describe('the addOne handler', () => {
+      it('should add an entity', () => {
+        expect(handle(adapter.addOne, ada, adapter.getInitialState()))
+          .to.deep.equal({ byId: { 1: ada }, allIds: [1] });
+      });
+
+      it('should ignore an entity with a known id', () => {
+        expect(handle(adapter.addOne, { id: 1, name: 'Other' }).byId[1]).to.equal(ada);
+      });
+    });
+
+    describe('the addMany handler', () => {
+      it('should add each new entity', () => {
+        expect(handle(adapter.addMany, [{ id: 3 }, { id: 1 }]).allIds).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    describe('the upsert handler', () => {
+      it('should merge known entities and add new ones', () => {
+        expect(handle(adapter.upsert, [{ id: 1, age: 36 }, { id: 3 }])).to.deep.equal({
+          byId: { 1: { id: 1, name: 'Ada', age: 36 }, 2: grace, 3: { id: 3 } },
+          allIds: [1, 2, 3],
+        });
+      });
+    });
+
+    describe('the update handler', () => {
+      it('should merge changes into a known entity only', () => {
+        const result = handle(adapter.update, [
+          { id: 2, changes: { name: 'Hopper' } },
+          { id: 9, changes: { name: 'Nobody' } },
+        ]);
+
+        expect(result.byId[2]).to.deep.equal({ id: 2, name: 'Hopper' });
+        expect(result.allIds).to.deep.equal([1, 2]);
+      });
+    });
+
+    describe('the remove handler', () => {
+      it('should remove entities by id', () => {
+        expect(handle(adapter.remove, 1)).to.deep.equal({ byId: { 2: grace }, allIds: [2] });
+        expect(handle(adapter.remove, [1, 2])).to.deep.equal({ byId: {}, allIds: [] });
+      });
+    });
+
+    describe('the setAll handler', () => {
+      it('should replace every entity', () => {
+        expect(handle(adapter.setAll, [{ id: 5 }])).to.deep.equal({
+          byId: { 5: { id: 5 } },
+          allIds: [5],
+        });
+      });
+    });
+
+    describe('the sort handler', () => {
+      it('should sort ids by a property name', () => {
+        expect(handle(adapter.sort, 'name', { ...state, allIds: [2, 1] }).allIds)
+          .to.deep.equal([1, 2]);
+      });
+
+      it('should sort ids by a comparer', () => {
+        expect(handle(adapter.sort, (a, b) => b.id - a.id).allIds).to.deep.equal([2, 1]);
+      });
+    });
+
+    describe('given a sortComparer', () => {
+      const sorted = createEntityAdapter({ sortComparer: 'name' });
+
+      it('should keep ids sorted as entities are added', () => {
+        expect(handle(sorted.addMany, [{ id: 3, name: 'Aaron' }]).allIds).to.deep.equal([3, 1, 2]);
+      });
+    });
+
+    describe('given a name and a normalized payload', () => {
+      const named = createEntityAdapter({ name: 'patients' });
+
+      it('should upsert its collection', () => {
+        const payload = { result: [3], entities: { patients: { 3: { id: 3 } }, visits: {} } };
+
+        expect(handle(named.upsertNormalized, payload).allIds).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    describe('used with createReducer', () => {
+      const ADD_TYPE = '@@/test/addPatient';
+      const reducer = createReducer(adapter.getInitialState({ loading: true }), {
+        [ADD_TYPE]: adapter.addOne,
+      });
+
+      it('should keep the other keys of state', () => {
+        expect(reducer(undefined, { type: ADD_TYPE, payload: ada })).to.deep.equal({
+          loading: true,
+          byId: { 1: ada },
+          allIds: [1],
+        });
+      });
+    });
+
+    describe('the selectors', () => {
+      const rootState = { patients: state };
+      const {
+        selectAll,
+        selectById,
+        selectIds,
+        selectTotal,
+        selectFiltered,
+      } = adapter.getSelectors('patients');
+
+      it('should select every entity in order', () => {
+        expect(selectAll(rootState)).to.deep.equal([ada, grace]);
+        expect(selectAll(rootState)).to.equal(selectAll(rootState));
+      });
+
+      it('should select the ids', () => {
+        expect(selectIds(rootState)).to.equal(state.allIds);
+      });
+
+      it('should select an entity by id', () => {
+        expect(selectById(rootState, 2)).to.equal(grace);
+      });
+
+      it('should select the total', () => {
+        expect(selectTotal(rootState)).to.equal(2);
+      });
+
+      it('should select a filtered view', () => {
+        const selectAdas = selectFiltered(patient => patient.name === 'Ada');
+
+        expect(selectAdas(rootState)).to.deep.equal([ada]);
+      });
+
+      it('should not throw for a missing slice', () => {
+        expect(selectAll({})).to.deep.equal([]);
+        expect(selectTotal({})).to.equal(0);
+      });
+    });
+  });
+
+  /** @name normalize */
+  describe('#normalize', () => {
+    const provider = entitySchema('providers');
+    const visit = entitySchema('visits', { provider });
+    const patient = entitySchema('patients', { visits: [visit] });
+
+    const data = [
+      { id: 1, visits: [{ id: 10, provider: { id: 3, name: 'Dr. A' } }] },
+      { id: 2, visits: [{ id: 11, provider: { id: 3, name: 'Dr. A' } }] },
+    ];
+
+    it('should flatten nested entities into collections by id', () => {
+      expect(normalize(data, [patient])).to.deep.equal({
+        result: [1, 2],
+        entities: {
+          patients: { 1: { id: 1, visits: [10] }, 2: { id: 2, visits: [11] } },
+          visits: { 10: { id: 10, provider: 3 }, 11: { id: 11, provider: 3 } },
+          providers: { 3: { id: 3, name: 'Dr. A' } },
+        },
+      });
+    });
+
+    it('should use a custom id key', () => {
+      const code = entitySchema('codes', {}, { idKey: 'code' });
+
+      expect(normalize({ code: 'A1' }, code))
+        .to.deep.equal({ result: 'A1', entities: { codes: { A1: { code: 'A1' } } } });
+    });
+
+    it('should keep nil nested values', () => {
+      expect(normalize({ id: 1, visits: null }, patient).entities.patients[1].visits)
+        .to.equal(null);
+    });
+  });
+
+  /** @name withHistory */
+  describe('#withHistory', () => {
+    const SET_NAME = '@@/test/setName';
+    const SET_FLAG = '@@/test/setFlag';
+    const setName = createAction(SET_NAME);
+    const setFlag = createAction(SET_FLAG);
+    const reducer = createReducer({ name: '', flag: false }, {
+      [SET_NAME]: createHandler('name'),
+      [SET_FLAG]: createHandler('flag'),
+    });
+    const run = (historyReducer, actions) => actions.reduce(historyReducer, undefined);
+    const names = ({ past, present, future }) =>
+      [past.map(state => state.name), present.name, future.map(state => state.name)];
+
+    testIfExists(withHistory);
+    shouldBeAFunction(withHistory(reducer));
+
+    it('should start with the default state of the reducer and no history', () => {
+      const history = withHistory(reducer)(undefined, {});
+
+      expect(history.present).to.deep.equal({ name: '', flag: false });
+      expect(history.past).to.deep.equal([]);
+      expect(history.future).to.deep.equal([]);
+    });
+
+    it('should record each change to the present state', () => {
+      const history = run(withHistory(reducer), [setName('A'), setName('B')]);
+      expect(names(history)).to.deep.equal([['', 'A'], 'B', []]);
+    });
+
+    it('should return the same history for actions that do not change state', () => {
+      const historyReducer = withHistory(reducer);
+      const history = run(historyReducer, [setName('A')]);
+
+      expect(historyReducer(history, { type: 'unknown' })).to.equal(history);
+    });
+
+    it('should undo and redo', () => {
+      const historyReducer = withHistory(reducer);
+      const history = run(historyReducer, [setName('A'), setName('B'), undo(), undo()]);
+
+      expect(names(history)).to.deep.equal([[], '', ['A', 'B']]);
+      expect(names(historyReducer(history, redo()))).to.deep.equal([[''], 'A', ['B']]);
+    });
+
+    it('should ignore undo and redo with nothing to move to', () => {
+      const historyReducer = withHistory(reducer);
+      const history = run(historyReducer, [setName('A')]);
+
+      expect(historyReducer(history, redo())).to.equal(history);
+      expect(historyReducer(historyReducer(history, undo()), undo()).present.name).to.equal('');
+    });
+
+    it('should clear the future when a new change is recorded', () => {
+      const history = run(withHistory(reducer), [setName('A'), undo(), setName('C')]);
+      expect(names(history)).to.deep.equal([[''], 'C', []]);
+    });
+
+    it('should jump to an index of the timeline', () => {
+      const historyReducer = withHistory(reducer);
+      const history = run(historyReducer, [setName('A'), setName('B'), setName('C')]);
+
+      expect(names(historyReducer(history, jumpTo(1)))).to.deep.equal([[''], 'A', ['B', 'C']]);
+      expect(names(historyReducer(history, jumpTo(0)))).to.deep.equal([[], '', ['A', 'B', 'C']]);
+      expect(historyReducer(history, jumpTo(9))).to.equal(history);
+    });
+
+    it('should clear the past and future', () => {
+      const history = run(withHistory(reducer),
+        [setName('A'), setName('B'), undo(), clearHistory()]);
+      expect(names(history)).to.deep.equal([[], 'A', []]);
+    });
+
+    it('should keep at most limit past states', () => {
+      const history = run(withHistory(reducer, { limit: 2 }),
+        [setName('A'), setName('B'), setName('C')]);
+
+      expect(names(history)).to.deep.equal([['A', 'B'], 'C', []]);
+    });
+
+    it('should only record actions of the types given as filter', () => {
+      const history = run(withHistory(reducer, { filter: [SET_NAME] }),
+        [setName('A'), setFlag(true)]);
+
+      expect(names(history)).to.deep.equal([[''], 'A', []]);
+      expect(history.present.flag).to.equal(true);
+    });
+
+    it('should only record actions matching a filter predicate', () => {
+      const history = run(withHistory(reducer, { filter: ({ payload }) => payload !== 'B' }),
+        [setName('A'), setName('B')]);
+
+      expect(names(history)).to.deep.equal([[''], 'B', []]);
+    });
+
+    describe('grouping', () => {
+      const at = (action, timestamp) => ({ ...action, meta: { timestamp } });
+
+      it('should group consecutive actions of a type within groupWithin milliseconds', () => {
+        const history = run(
+          withHistory(reducer, { groupWithin: 100 }),
+          [at(setName('A'), 0), at(setName('Ad'), 50), at(setName('Ada'), 140),
+            at(setName('Adam'), 300)],
+        );
+
+        expect(names(history)).to.deep.equal([['', 'Ada'], 'Adam', []]);
+      });
+
+      it('should not group actions of different groups', () => {
+        const history = run(
+          withHistory(reducer, { groupWithin: 100 }),
+          [at(setName('A'), 0), at(setFlag(true), 10), at(setName('B'), 20)],
+        );
+
+        expect(history.past.length).to.equal(3);
+      });
+
+      it('should group actions by a custom groupBy', () => {
+        const history = run(
+          withHistory(reducer, { groupWithin: 100, groupBy: () => 'all' }),
+          [at(setName('A'), 0), at(setFlag(true), 10)],
+        );
+
+        expect(history.past).to.deep.equal([{ name: '', flag: false }]);
+      });
+
+      it('should read timestamps with a custom timestampOf', () => {
+        const history = run(
+          withHistory(reducer, { groupWithin: 100, timestampOf: ({ payload }) => payload.length }),
+          [setName('A'), setName('Ad')],
+        );
+
+        expect(names(history)).to.deep.equal([[''], 'Ad', []]);
+      });
+
+      it('should not group actions without a timestamp', () => {
+        const history = run(withHistory(reducer, { groupWithin: 100 }),
+          [setName('A'), setName('B')]);
+        expect(names(history)).to.deep.equal([['', 'A'], 'B', []]);
+      });
+
+      it('should start a new step after an undo', () => {
+        const history = run(
+          withHistory(reducer, { groupWithin: 100 }),
+          [at(setName('A'), 0), undo(), at(setName('B'), 10)],
+        );
+
+        expect(names(history)).to.deep.equal([[''], 'B', []]);
+      });
+
+      it('should keep the group out of the history state', () => {
+        const historyReducer = withHistory(reducer, { groupWithin: 100 });
+        const history = run(historyReducer, [at(setName('A'), 0)]);
+        const next = at(setName('Ad'), 50);
+
+        expect(Object.keys(history)).to.deep.equal(['past', 'present', 'future']);
+        expect(historyReducer(history, next)).to.deep.equal(historyReducer(history, next));
+      });
+    });
+
+    describe('#canUndo and #canRedo', () => {
+      const history = run(withHistory(reducer), [setName('A'), undo()]);
+
+      testCases(canUndo,
+        ['a history without past', history, false],
+        ['a history with past', { past: [{}], future: [] }, true],
+        ['undefined', undefined, false],
+      );
+
+      testCases(canRedo,
+        ['a history with future', history, true],
+        ['a history without future', { past: [], future: [] }, false],
+      );
+    });
+  });
+
+  /** @name backoffDelay */
+  describe('#backoffDelay', () => {
+    testIfExists(backoffDelay);
+
+    it('should grow the delay exponentially with each attempt', () => {
+      const policy = { baseDelay: 100, jitter: 0 };
+      expect([1, 2, 3].map(attempt => backoffDelay(policy, attempt)))
+        .to.deep.equal([100, 200, 400]);
+    });
+
+    it('should use a custom factor', () => {
+      expect(backoffDelay({ baseDelay: 10, factor: 3, jitter: 0 }, 3)).to.equal(90);
+    });
+
+    it('should not exceed maxDelay', () => {
+      expect(backoffDelay({ baseDelay: 100, maxDelay: 250, jitter: 0 }, 5)).to.equal(250);
+    });
+
+    it('should take off up to the jitter fraction of the delay', () => {
+      expect(backoffDelay({ baseDelay: 100, jitter: 0.5, random: () => 1 }, 1)).to.equal(50);
+      expect(backoffDelay({ baseDelay: 100, jitter: 0.5, random: () => 0.2 }, 1)).to.equal(90);
+    });
+  });
+
+  /** @name createRetryThunk */
+  describe('#createRetryThunk', () => {
+    const TYPE = '@@/test/retry';
+    const ok = { status: 200, value: { data: [1, 2] } };
+    const unavailable = { status: 503, statusText: 'Service Unavailable', value: 'Try later' };
+    const notFound = { status: 404, statusText: 'Not Found', value: '' };
+
+    // fake timers that fire on the next tick without waiting, recording each delay
+    const createClock = () => {
+      const clock = {
+        delays: [],
+        cleared: [],
+        setTimeout: (callback, delay) => {
+          clock.delays.push(delay);
+          Promise.resolve().then(callback);
+          return clock.delays.length;
+        },
+        clearTimeout: id => clock.cleared.push(id),
+      };
+
+      return clock;
+    };
+
+    const respondWith = responses => () => {
+      const response = responses.shift();
+      return is(Error, response) ? Promise.reject(response) : Promise.resolve(response);
+    };
+
+    const run = (thunkCreator, payload, meta) => {
+      const dispatched = [];
+      const dispatch = action => {
+        dispatched.push(action);
+        return action;
+      };
+      const promise = thunkCreator(payload, meta)(dispatch);
+
+      return { dispatched, promise };
+    };
+
+    testIfExists(createRetryThunk);
+
+    it('should carry the generated action types', () => {
+      expect(createRetryThunk(TYPE, identity).types).to.deep.equal({
+        SUCCESS: `${TYPE}/SUCCESS`,
+        RETRY: `${TYPE}/RETRY`,
+        FAILURE: `${TYPE}/FAILURE`,
+      });
+    });
+
+    it('should dispatch and resolve with the success action', () => {
+      const request = respondWith([ok]);
+      const { dispatched, promise } = run(createRetryThunk(TYPE, request), 'p', { page: 1 });
+
+      return promise.then(action => {
+        expect(action)
+          .to.deep.equal({ type: `${TYPE}/SUCCESS`, payload: [1, 2], meta: { page: 1 } });
+        expect(dispatched).to.deep.equal([action]);
+      });
+    });
+
+    it('should pass the payload, meta and dispatch to the request', () => {
+      let args;
+      const request = (...rest) => {
+        args = rest;
+        return Promise.resolve(ok);
+      };
+      const thunk = createRetryThunk(TYPE, request)('p', { page: 1 });
+      const dispatch = identity;
+
+      return thunk(dispatch).then(() => expect(args).to.deep.equal(['p', { page: 1 }, dispatch]));
+    });
+
+    it('should retry retriable statuses with the attempt and next delay in meta', () => {
+      const clock = createClock();
+      const thunkCreator = createRetryThunk(TYPE, respondWith([unavailable, unavailable, ok]), {
+        clock,
+        jitter: 0,
+      });
+      const { dispatched, promise } = run(thunkCreator, undefined, { page: 1 });
+
+      return promise.then(() => {
+        expect(dispatched.map(action => action.type))
+          .to.deep.equal([`${TYPE}/RETRY`, `${TYPE}/RETRY`, `${TYPE}/SUCCESS`]);
+        expect(dispatched[0].payload.status).to.equal(503);
+        expect(dispatched[0].meta).to.deep.equal({ page: 1, attempt: 1, nextDelay: 100 });
+        expect(dispatched[1].meta).to.deep.equal({ page: 1, attempt: 2, nextDelay: 200 });
+        expect(clock.delays).to.deep.equal([100, 200]);
+      });
+    });
+
+    it('should dispatch an error action once attempts run out', () => {
+      const thunkCreator = createRetryThunk(TYPE, respondWith([unavailable, unavailable]), {
+        clock: createClock(),
+        maxAttempts: 2,
+      });
+      const { dispatched, promise } = run(thunkCreator, undefined, { page: 1 });
+
+      return promise.then(
+        () => { throw new Error('should have rejected'); },
+        action => {
+          const failure = createErrorAction(`${TYPE}/FAILURE`, 'Request failed with status 503');
+
+          expect(action).to.deep.equal(failure(
+            { status: 503, statusText: 'Service Unavailable', body: 'Try later' },
+            { page: 1, attempt: 2 },
+          ));
+          expect(dispatched.length).to.equal(2);
+          expect(last(dispatched)).to.equal(action);
+        },
+      );
+    });
+
+    it('should use a custom failure message', () => {
+      const thunkCreator = createRetryThunk(TYPE, respondWith([notFound]), { message: 'No luck' });
+
+      return expect(run(thunkCreator).promise).to.be.rejected
+        .then(action => expect(action.message).to.equal('No luck'));
+    });
+
+    it('should not retry other statuses', () => {
+      const { dispatched, promise } = run(createRetryThunk(TYPE, respondWith([notFound, ok])));
+
+      return expect(promise).to.be.rejected.then(action => {
+        expect(action.type).to.equal(`${TYPE}/FAILURE`);
+        expect(action.meta.attempt).to.equal(1);
+        expect(dispatched.length).to.equal(1);
+      });
+    });
+
+    it('should retry the statuses given as retryOn', () => {
+      const thunkCreator = createRetryThunk(TYPE, respondWith([notFound, ok]), {
+        clock: createClock(),
+        retryOn: [404],
+      });
+
+      return expect(run(thunkCreator).promise)
+        .to.eventually.have.property('type', `${TYPE}/SUCCESS`);
+    });
+
+    it('should retry network errors', () => {
+      const error = new Error('Network down');
+      const thunkCreator = createRetryThunk(TYPE, respondWith([error, ok]), {
+        clock: createClock(),
+      });
+      const { dispatched, promise } = run(thunkCreator);
+
+      return promise.then(() => {
+        expect(dispatched[0].type).to.equal(`${TYPE}/RETRY`);
+        expect(dispatched[0].payload).to.equal(error);
+      });
+    });
+
+    it('should not retry network errors when retryNetworkErrors is false', () => {
+      const thunkCreator = createRetryThunk(TYPE, respondWith([new Error('Network down'), ok]), {
+        retryNetworkErrors: false,
+      });
+
+      return expect(run(thunkCreator).promise).to.be.rejected
+        .then(action => expect(action.message).to.equal('Network down'));
+    });
+
+    it('should fail attempts that exceed the timeout', () => {
+      const clock = createClock();
+      const thunkCreator = createRetryThunk(TYPE, () => new Promise(identity), {
+        clock,
+        maxAttempts: 1,
+        timeout: 5000,
+      });
+
+      return expect(run(thunkCreator).promise).to.be.rejected.then(action => {
+        expect(action.message).to.equal('Request timed out after 5000ms');
+        expect(clock.delays).to.deep.equal([5000]);
+      });
+    });
+
+    it('should clear the timeout once an attempt settles', () => {
+      const clock = { setTimeout: () => 7, clearTimeout: id => { clock.cleared = id; } };
+      const thunkCreator = createRetryThunk(TYPE, respondWith([ok]), { clock, timeout: 5000 });
+
+      return run(thunkCreator).promise.then(() => expect(clock.cleared).to.equal(7));
+    });
+  });
+
+  /** @name createAbortController */
+  describe('#createAbortController', () => {
+    testIfExists(createAbortController);
+
+    it('should abort its signal once and notify listeners', () => {
+      const { signal, abort } = createAbortController();
+      let calls = 0;
+      signal.addEventListener('abort', () => { calls += 1; });
+
+      expect(signal.aborted).to.equal(false);
+      abort();
+      abort();
+      expect(signal.aborted).to.equal(true);
+      expect(calls).to.equal(1);
+    });
+  });
+
+  /** @name createCancellableThunk */
+  describe('#createCancellableThunk', () => {
+    const TYPE = '@@/test/search';
+
+    // promises resolved by hand, in any order
+    const createRequests = () => {
+      const requests = [];
+      const promiseFn = (payload, meta, signal) => new Promise((resolve, reject) => {
+        requests.push({ payload, signal, resolve, reject });
+      });
+
+      return { requests, promiseFn };
+    };
+
+    const createDispatch = () => {
+      const dispatched = [];
+      const dispatch = action => {
+        dispatched.push(action);
+        return action;
+      };
+
+      return { dispatched, dispatch };
+    };
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    testIfExists(createCancellableThunk);
+
+    it('should carry the generated action types', () => {
+      expect(createCancellableThunk(TYPE, identity).types).to.deep.equal({
+        SUCCESS: `${TYPE}/SUCCESS`,
+        FAILURE: `${TYPE}/FAILURE`,
+        CANCELLED: `${TYPE}/CANCELLED`,
+      });
+    });
+
+    it('should throw on an unknown mode', () => {
+      expect(() => createCancellableThunk(TYPE, identity, { mode: 'takeSome' }))
+        .to.throw(TypeError, 'Unknown concurrency mode "takeSome"');
+    });
+
+    it('should dispatch and resolve with the success action', () => {
+      const { dispatched, dispatch } = createDispatch();
+      const thunkCreator = createCancellableThunk(TYPE, payload => Promise.resolve(payload + 1));
+
+      return thunkCreator(1, { page: 1 })(dispatch).then(action => {
+        expect(action).to.deep.equal({ type: `${TYPE}/SUCCESS`, payload: 2, meta: { page: 1 } });
+        expect(dispatched).to.deep.equal([action]);
+      });
+    });
+
+    it('should dispatch and reject with the failure action', () => {
+      const { dispatched, dispatch } = createDispatch();
+      const thunkCreator = createCancellableThunk(TYPE, () => Promise.reject(new Error('Oops')));
+
+      return expect(thunkCreator()(dispatch)).to.be.rejected.then(action => {
+        expect(action.type).to.equal(`${TYPE}/FAILURE`);
+        expect(action.error).to.equal(true);
+        expect(action.message).to.equal('Oops');
+        expect(dispatched).to.deep.equal([action]);
+      });
+    });
+
+    it('should cancel a request with its promise, aborting its signal', () => {
+      const { requests, promiseFn } = createRequests();
+      const { dispatched, dispatch } = createDispatch();
+      const promise = createCancellableThunk(TYPE, promiseFn)('A', { page: 1 })(dispatch);
+
+      return flush().then(() => {
+        promise.cancel();
+        requests[0].resolve('late');
+        expect(requests[0].signal.aborted).to.equal(true);
+
+        return promise;
+      }).then(action => {
+        expect(action).to.deep.equal({
+          type: `${TYPE}/CANCELLED`,
+          payload: 'A',
+          meta: { page: 1, reason: 'cancelled' },
+        });
+        return flush();
+      }).then(() => expect(dispatched.length).to.equal(1));
+    });
+
+    it('should cancel every pending request with the thunk creator', () => {
+      const { promiseFn } = createRequests();
+      const { dispatch } = createDispatch();
+      const thunkCreator = createCancellableThunk(TYPE, promiseFn);
+      const promises = [thunkCreator('A')(dispatch), thunkCreator('B')(dispatch)];
+
+      thunkCreator.cancel('unmounted');
+
+      return Promise.all(promises).then(actions => expect(actions.map(action => action.meta))
+        .to.deep.equal([{ reason: 'unmounted' }, { reason: 'unmounted' }]));
+    });
+
+    it('should run every request in parallel mode', () => {
+      const { requests, promiseFn } = createRequests();
+      const { dispatch } = createDispatch();
+      const thunkCreator = createCancellableThunk(TYPE, promiseFn);
+      const promises = [thunkCreator('A')(dispatch), thunkCreator('B')(dispatch)];
+
+      return flush().then(() => {
+        requests.forEach(request => request.resolve(request.payload));
+        return Promise.all(promises);
+      }).then(actions => expect(actions.map(action => action.type))
+        .to.deep.equal([`${TYPE}/SUCCESS`, `${TYPE}/SUCCESS`]));
+    });
+
+    it('should cancel superseded requests in takeLatest mode', () => {
+      const { requests, promiseFn } = createRequests();
+      const { dispatched, dispatch } = createDispatch();
+      const thunkCreator = createCancellableThunk(TYPE, promiseFn, { mode: 'takeLatest' });
+      const first = thunkCreator('Ad')(dispatch);
+      const second = thunkCreator('Ada')(dispatch);
+
+      return flush().then(() => {
+        requests[1].resolve(['Ada']);
+        requests[0].resolve(['Adam', 'Ada']);
+        return Promise.all([first, second]);
+      }).then(() => flush()).then(() => {
+        expect(dispatched).to.deep.equal([
+          { type: `${TYPE}/CANCELLED`, payload: 'Ad', meta: { reason: 'superseded' } },
+          { type: `${TYPE}/SUCCESS`, payload: ['Ada'], meta: {} },
+        ]);
+        expect(requests[0].signal.aborted).to.equal(true);
+      });
+    });
+
+    it('should ignore new requests while one is pending in takeFirst mode', () => {
+      const { requests, promiseFn } = createRequests();
+      const { dispatch } = createDispatch();
+      const thunkCreator = createCancellableThunk(TYPE, promiseFn, { mode: 'takeFirst' });
+      const first = thunkCreator('A')(dispatch);
+      const second = thunkCreator('B')(dispatch);
+
+      return second.then(action => {
+        expect(action.meta).to.deep.equal({ reason: 'ignored' });
+        return flush();
+      }).then(() => {
+        expect(requests.length).to.equal(1);
+        requests[0].resolve('A');
+        return first;
+      }).then(action => {
+        expect(action.type).to.equal(`${TYPE}/SUCCESS`);
+        thunkCreator('C')(dispatch);
+        return flush();
+      }).then(() => expect(requests.length).to.equal(2));
+    });
+
+    it('should run requests one after another in queue mode', () => {
+      const { requests, promiseFn } = createRequests();
+      const { dispatch } = createDispatch();
+      const thunkCreator = createCancellableThunk(TYPE, promiseFn, { mode: 'queue' });
+      const promises = ['A', 'B', 'C'].map(payload => thunkCreator(payload)(dispatch));
+
+      promises[1].cancel();
+
+      return flush().then(() => {
+        expect(requests.map(request => request.payload)).to.deep.equal(['A']);
+        requests[0].reject(new Error('Oops'));
+        return flush();
+      }).then(() => {
+        expect(requests.map(request => request.payload)).to.deep.equal(['A', 'C']);
+        requests[1].resolve('C');
+        return Promise.all([expect(promises[0]).to.be.rejected, promises[1], promises[2]]);
+      }).then(([, cancelled, succeeded]) => {
+        expect(cancelled.type).to.equal(`${TYPE}/CANCELLED`);
+        expect(succeeded.payload).to.equal('C');
+      });
+    });
+  });
+
+  /** @name optimistic */
+  describe('#optimistic', () => {
+    const ADD = '@@/test/add';
+    const ADD_DONE = '@@/test/addDone';
+    const ADD_FAILED = '@@/test/addFailed';
+    const COUNT = '@@/test/count';
+
+    const add = optimistic(createAction(ADD), { commit: ADD_DONE, revert: ADD_FAILED });
+    const addDone = createAction(ADD_DONE);
+    const addFailed = createErrorAction(ADD_FAILED, 'Could not add');
+    const count = createAction(COUNT);
+
+    const reducer = optimisticReducer(createReducer({ names: [], saved: 0, count: 0 }, {
+      [ADD]: (state, { payload }) => ({ names: [...state.names, payload] }),
+      [ADD_DONE]: state => ({ saved: state.saved + 1 }),
+      [COUNT]: state => ({ count: state.count + 1 }),
+    }));
+    const run = actions => actions.reduce(reducer, undefined);
+
+    testIfExists(optimistic);
+    testIfExists(optimisticReducer);
+
+    it('should tag actions with a transaction id and the ending types', () => {
+      const first = add('Ada', { page: 1 });
+      const second = add('Alan');
+
+      expect(first.meta.page).to.equal(1);
+      expect(first.meta.transactionId).to.be.a('string');
+      expect(first.meta.transactionId).to.not.equal(second.meta.transactionId);
+      expect(first.meta.optimistic)
+        .to.deep.equal({ type: ADD, commit: ADD_DONE, revert: ADD_FAILED });
+    });
+
+    it('should keep a given transaction id', () => {
+      expect(add('Ada', { transactionId: 'mine' }).meta.transactionId).to.equal('mine');
+    });
+
+    it('should default the revert type to the commit type', () => {
+      const save = optimistic(createAction(ADD), { commit: ADD_DONE });
+      expect(save('Ada').meta.optimistic.revert).to.equal(ADD_DONE);
+    });
+
+    it('should start with the default state of the reducer', () => {
+      expect(reducer(undefined, {})).to.deep.equal({
+        present: { names: [], saved: 0, count: 0 },
+        base: null,
+        log: [],
+      });
+    });
+
+    it('should apply an optimistic action right away', () => {
+      expect(run([add('Ada')]).present.names).to.deep.equal(['Ada']);
+    });
+
+    it('should keep a committed transaction and forget its log', () => {
+      const action = add('Ada');
+      const state = run([action, addDone('Ada', action.meta)]);
+
+      expect(state.present).to.deep.equal({ names: ['Ada'], saved: 1, count: 0 });
+      expect(state.log).to.deep.equal([]);
+    });
+
+    it('should not begin a transaction for follow up actions given the same meta', () => {
+      const action = add('Ada');
+      const state = run([action, addDone('Ada', action.meta), count(null, action.meta),
+        count(null, action.meta)]);
+
+      expect(state.present).to.deep.equal({ names: ['Ada'], saved: 1, count: 2 });
+      expect(state.log).to.deep.equal([]);
+      expect(state.base).to.equal(null);
+    });
+
+    it('should roll back a failed transaction, keeping other actions', () => {
+      const action = add('Ada');
+      const state = run([action, count(), addFailed('Ada', action.meta)]);
+
+      expect(state.present).to.deep.equal({ names: [], saved: 0, count: 1 });
+      expect(state.log).to.deep.equal([]);
+    });
+
+    it('should only roll back on an error action', () => {
+      const action = add('Ada');
+      const save = optimistic(createAction(ADD), { commit: ADD_DONE })('Ada');
+
+      expect(run([action, createAction(ADD_FAILED)('Ada', action.meta)]).log.length).to.equal(2);
+      expect(run([save, addDone('Ada', save.meta)]).present.names).to.deep.equal(['Ada']);
+    });
+
+    it('should roll back an earlier transaction after a later one succeeded', () => {
+      const ada = add('Ada');
+      const alan = add('Alan');
+      const state = run([
+        ada,
+        alan,
+        addDone('Alan', alan.meta),
+        count(),
+        addFailed('Ada', ada.meta),
+      ]);
+
+      expect(state.present).to.deep.equal({ names: ['Alan'], saved: 1, count: 1 });
+      expect(state.log).to.deep.equal([]);
+    });
+
+    it('should keep the log from the oldest pending transaction', () => {
+      const ada = add('Ada');
+      const alan = add('Alan');
+      const state = run([ada, alan, addDone('Ada', ada.meta)]);
+
+      expect(state.base.names).to.deep.equal(['Ada']);
+      expect(state.log.map(entry => entry.action.type)).to.deep.equal([ADD, ADD_DONE]);
+      expect(reducer(state, addFailed('Alan', alan.meta)).present)
+        .to.deep.equal({ names: ['Ada'], saved: 1, count: 0 });
+    });
+
+    it('should ignore a commit for a settled transaction', () => {
+      const action = add('Ada');
+      const state = run([action, addDone('Ada', action.meta), addDone('Ada', action.meta)]);
+
+      expect(state.log).to.deep.equal([]);
+      expect(state.present.saved).to.equal(2);
+    });
+
+    it('should return the same state for actions that do not change it', () => {
+      const state = run([count()]);
+      expect(reducer(state, { type: 'unknown' })).to.equal(state);
+    });
+  });
+
+  /** @name createMetaEnricher */
+  describe('#createMetaEnricher', () => {
+    const TYPE = '@@/test/enriched';
+    const createClock = () => {
+      let time = 1000;
+      return () => {
+        time += 1;
+        return time;
+      };
+    };
+    const createIds = () => {
+      let count = 0;
+      return () => {
+        count += 1;
+        return `c${count}`;
+      };
+    };
+
+    beforeEach(() => {
+      const metaEnricher = createMetaEnricher({ now: createClock(), createId: createIds() });
+      configureActions({ metaEnricher });
+    });
+
+    afterEach(() => {
+      configureActions({ metaEnricher: null });
+    });
+
+    testIfExists(createMetaEnricher);
+
+    it('should leave meta as is unless configured', () => {
+      configureActions({ metaEnricher: null });
+      expect(createAction(TYPE)(1, { page: 1 }).meta).to.deep.equal({ page: 1 });
+    });
+
+    it('should stamp actions with a timestamp, sequence, correlation id and creator', () => {
+      const first = createAction(TYPE)(1, { page: 1 });
+      const second = createErrorAction(TYPE, 'Oops')();
+
+      expect(first.meta).to.deep.equal({
+        page: 1,
+        timestamp: 1001,
+        sequence: 1,
+        correlationId: 'c1',
+        creator: 'createAction',
+      });
+      expect(second.meta).to.deep.equal({
+        timestamp: 1002,
+        sequence: 2,
+        correlationId: 'c2',
+        creator: 'createErrorAction',
+      });
+    });
+
+    it('should keep the correlation id of the given meta', () => {
+      const parent = createAction(TYPE)();
+      const child = createAction(TYPE)(undefined, parent.meta);
+
+      expect(child.meta.correlationId).to.equal(parent.meta.correlationId);
+      expect(child.meta.sequence).to.equal(parent.meta.sequence + 1);
+    });
+
+    it('should name the creator of thunk actions', () => {
+      const dispatch = identity;
+
+      return Promise.all([
+        createThunk(TYPE)()(dispatch),
+        expect(createErrorThunk(TYPE)()(dispatch)).to.be.rejected,
+        createThunk(TYPE, { name: 'addPatient' })()(dispatch),
+      ]).then(actions => expect(actions.map(action => action.meta.creator))
+        .to.deep.equal(['createThunk', 'createErrorThunk', 'addPatient']));
+    });
+
+    it('should stamp FSA actions', () => {
+      expect(createAction(TYPE, { fsa: true })().meta.sequence).to.equal(1);
+    });
+
+    it('should use one correlation id for every action of a library thunk', () => {
+      const dispatched = [];
+      const dispatch = action => {
+        dispatched.push(action);
+        return action;
+      };
+      const fetchPatients = createAsyncAction(TYPE, () => Promise.resolve([]));
+
+      return fetchPatients()(dispatch).then(() => {
+        expect(dispatched.map(action => action.meta.correlationId)).to.deep.equal(['c1', 'c1']);
+        expect(dispatched.map(action => action.meta.creator))
+          .to.deep.equal(['createAsyncAction', 'createAsyncAction']);
+      });
+    });
+
+    describe('#correlate', () => {
+      it('should add a new correlation id to meta', () => {
+        expect(correlate({ page: 1 })).to.deep.equal({ page: 1, correlationId: 'c1' });
+        expect(correlate()).to.deep.equal({ correlationId: 'c2' });
+      });
+
+      it('should keep an existing correlation id', () => {
+        expect(correlate({ correlationId: 'mine' })).to.deep.equal({ correlationId: 'mine' });
+      });
+
+      it('should return meta as is without a meta enricher', () => {
+        const meta = { page: 1 };
+        configureActions({ metaEnricher: null });
+
+        expect(correlate(meta)).to.equal(meta);
+      });
+    });
+  });
+
+  /** @name redact */
+  describe('#redact', () => {
+    const patient = {
+      name: 'Ada',
+      ssn: '123-45-6789',
+      visits: [{ id: 1, dob: '1815-12-10' }, { id: 2 }],
+    };
+
+    testIfExists(redact);
+
+    it('should replace the values at each path', () => {
+      expect(redact(['ssn', 'visits[0].dob'], patient)).to.deep.equal({
+        name: 'Ada',
+        ssn: '[REDACTED]',
+        visits: [{ id: 1, dob: '[REDACTED]' }, { id: 2 }],
+      });
+    });
+
+    it('should leave paths with no value as is', () => {
+      expect(redact(['token', 'visits[1].dob'], patient)).to.equal(patient);
+    });
+
+    it('should only redact the elements with a value at a wildcard path', () => {
+      expect(redact(['visits[*].dob'], patient).visits).to.deep.equal([
+        { id: 1, dob: '[REDACTED]' },
+        { id: 2 },
+      ]);
+      expect(redact(['visits.*.ssn'], patient)).to.equal(patient);
+    });
+
+    it('should throw for template paths', () => {
+      expect(() => redact(['visits.:index.dob'], patient))
+        .to.throw(TypeError, 'Template paths cannot be redacted: visits.:index.dob');
+      expect(() => createLoggerMiddleware({ redactState: ['byId.:id'] }))
+        .to.throw(TypeError, 'Template paths cannot be redacted: byId.:id');
+    });
+
+    it('should use a custom replacement', () => {
+      expect(redact([['ssn']], patient, null).ssn).to.equal(null);
+    });
+
+    testCases(value => redact(['ssn'], value),
+      ['a string', 'Ada', 'Ada'],
+      ['undefined', undefined, undefined],
+    );
+  });
+
+  /** @name createLoggerMiddleware */
+  describe('#createLoggerMiddleware', () => {
+    const TYPE = '@@/test/logged';
+    const createStore = (reducer, options) => {
+      const entries = [];
+      const errors = [];
+      let state = reducer(undefined, {});
+      let time = 0;
+
+      const middleware = createLoggerMiddleware({
+        sink: entry => entries.push(entry),
+        errorSink: entry => errors.push(entry),
+        now: () => {
+          time += 5;
+          return time;
+        },
+        ...options,
+      });
+      const dispatch = middleware({ getState: () => state })(action => {
+        state = reducer(state, action);
+        return action;
+      });
+
+      return { dispatch, entries, errors };
+    };
+
+    const reducer = createReducer({ patient: { name: '' }, session: { token: 'a' }, count: 0 }, {
+      [TYPE]: (state, { payload }) => ({ patient: payload }),
+    });
+
+    testIfExists(createLoggerMiddleware);
+
+    it('should log the action, the state changes and the duration', () => {
+      const { dispatch, entries } = createStore(reducer);
+      const action = createAction(TYPE)({ name: 'Ada' }, { page: 1 });
+
+      expect(dispatch(action)).to.equal(action);
+      expect(entries).to.deep.equal([{
+        type: TYPE,
+        payload: { name: 'Ada' },
+        meta: { page: 1 },
+        changes: [{ kind: 'changed', path: ['patient', 'name'], prev: '', next: 'Ada' }],
+        duration: 5,
+      }]);
+    });
+
+    it('should log error actions to the error sink with their message', () => {
+      const { dispatch, entries, errors } = createStore(reducer);
+      dispatch(createErrorAction('@@/test/failed', 'Oops')({ ssn: '1' }));
+      dispatch(createErrorAction('@@/test/failed', 'Oops', { fsa: true })({ ssn: '1' }));
+
+      expect(entries).to.deep.equal([]);
+      expect(errors.map(entry => entry.message)).to.deep.equal(['Oops', 'Oops']);
+      expect(errors[1].payload).to.deep.equal({ message: 'Oops', data: { ssn: '1' } });
+    });
+
+    it('should redact payload, meta and error data paths', () => {
+      const { dispatch, entries, errors } = createStore(reducer, { redact: ['ssn', 'auth.token'] });
+      dispatch(createAction(TYPE)({ name: 'Ada', ssn: '1' }, { auth: { token: 'b' } }));
+      dispatch(createErrorAction('@@/test/failed', 'Oops', { fsa: true })({ ssn: '1' }));
+
+      expect(entries[0].payload).to.deep.equal({ name: 'Ada', ssn: '[REDACTED]' });
+      expect(entries[0].meta).to.deep.equal({ auth: { token: '[REDACTED]' } });
+      expect(entries[0].changes[1]).to.deep.equal({
+        kind: 'added', path: ['patient', 'ssn'], next: '1',
+      });
+      expect(errors[0].payload.data).to.deep.equal({ ssn: '[REDACTED]' });
+    });
+
+    it('should redact state paths', () => {
+      const { dispatch, entries } = createStore(reducer, { redactState: ['patient.ssn'] });
+      dispatch(createAction(TYPE)({ name: 'Ada', ssn: '1' }));
+
+      expect(entries[0].changes).to.deep.equal([
+        { kind: 'changed', path: ['patient', 'name'], prev: '', next: 'Ada' },
+        { kind: 'added', path: ['patient', 'ssn'], next: '[REDACTED]' },
+      ]);
+    });
+
+    it('should pass thunks and filtered actions on without logging', () => {
+      const thunk = () => 1;
+      const { dispatch, entries } = createStore(reducer, {
+        predicate: (getState, action) => action.type !== 'skipped',
+      });
+
+      dispatch({ type: 'skipped' });
+      expect(dispatch(thunk)).to.equal(thunk);
+      expect(entries).to.deep.equal([]);
+    });
+  });
+
+  /** @name diffState */
+  describe('#diffState', () => {
+    const prev = {
+      patient: { name: 'Ada', address: { city: 'London', zip: 'N1' } },
+      visits: [{ id: 1 }, { id: 2 }],
+    };
+
+    testIfExists(diffState);
+
+    it('should list no changes for identical or equal states', () => {
+      expect(diffState(prev, prev)).to.deep.equal([]);
+      expect(diffState(prev, JSON.parse(JSON.stringify(prev)))).to.deep.equal([]);
+    });
+
+    it('should list changed, added and removed keys by their deepest path', () => {
+      const next = {
+        patient: { name: 'Ada', address: { city: 'Paris' }, dob: '1815-12-10' },
+        visits: prev.visits,
+      };
+
+      expect(diffState(prev, next)).to.deep.equal([
+        { kind: 'changed', path: ['patient', 'address', 'city'], prev: 'London', next: 'Paris' },
+        { kind: 'removed', path: ['patient', 'address', 'zip'], prev: 'N1' },
+        { kind: 'added', path: ['patient', 'dob'], next: '1815-12-10' },
+      ]);
+    });
+
+    it('should list moved, added and removed array elements', () => {
+      expect(diffState([1, 2, 3], [3, 1, 4])).to.deep.equal([
+        { kind: 'removed', path: [1], prev: 2 },
+        { kind: 'moved', path: [0], from: 2, value: 3 },
+        { kind: 'moved', path: [1], from: 0, value: 1 },
+        { kind: 'added', path: [2], next: 4 },
+      ]);
+    });
+
+    it('should diff array elements that stay at their index', () => {
+      const next = { ...prev, visits: [{ id: 1 }, { id: 2, done: true }] };
+
+      expect(diffState(prev, next)).to.deep.equal([
+        { kind: 'added', path: ['visits', 1, 'done'], next: true },
+      ]);
+    });
+
+    it('should diff far moved copies by index and near ones as moves', () => {
+      const items = range(0, 20).map(id => ({ id }));
+      const copies = JSON.parse(JSON.stringify(items));
+      const near = [copies[1], copies[0], ...copies.slice(2)];
+      const far = [copies[19], ...copies.slice(1, 19), copies[0]];
+
+      expect(diffState(items, near).map(({ kind }) => kind)).to.deep.equal(['moved', 'moved']);
+      expect(diffState(items, far)).to.deep.equal([
+        { kind: 'changed', path: [0, 'id'], prev: 0, next: 19 },
+        { kind: 'changed', path: [19, 'id'], prev: 19, next: 0 },
+      ]);
+    });
+
+    it('should diff large arrays without comparing every pair of elements', () => {
+      const items = range(0, 5000).map(id => ({ id, tags: ['a', 'b'] }));
+      const reversed = [...items].reverse();
+      const copies = JSON.parse(JSON.stringify(items));
+      copies[2500].done = true;
+
+      expect(diffState(items, reversed)).to.have.length(5000);
+      expect(diffState(items, copies)).to.deep.equal([
+        { kind: 'added', path: [2500, 'done'], next: true },
+      ]);
+    });
+
+    it('should list values of different types as changed', () => {
+      expect(diffState({ a: [1] }, { a: { 0: 1 } })).to.deep.equal([
+        { kind: 'changed', path: ['a'], prev: [1], next: { 0: 1 } },
+      ]);
+      expect(diffState(1, 2)).to.deep.equal([{ kind: 'changed', path: [], prev: 1, next: 2 }]);
+    });
+
+    it('should let a test assert which paths an action touched', () => {
+      const next = set(getLens('patient.address.zip'), 'N7', prev);
+      const touched = diffState(prev, next).map(({ path }) => formatPath(path));
+
+      expect(touched.every(path => path.startsWith('patient.address'))).to.equal(true);
+    });
+  });
+
+  /** @name formatDiff */
+  describe('#formatDiff', () => {
+    testIfExists(formatDiff);
+    testIfExists(formatPath);
+
+    testCases(formatPath,
+      ['an empty path', [], '(root)'],
+      ['keys', ['patient', 'name'], 'patient.name'],
+      ['indexes', ['visits', 0, 'id'], 'visits[0].id'],
+      ['a leading index', [0, 'id'], '[0].id'],
+    );
+
+    it('should describe each change on its own line', () => {
+      const changes = diffState(
+        { a: { b: 1 }, c: [1, 2], e: 'x' },
+        { a: { b: 2 }, c: [2], d: true, e: undefined },
+      );
+
+      expect(formatDiff(changes)).to.equal([
+        '~ a.b: 1 -> 2',
+        '- c[0]: 1',
+        '> c[0]: moved from c[1]',
+        '~ e: "x" -> undefined',
+        '+ d: true',
+      ].join('\n'));
+    });
+  });
+
+  /** @name deepFreeze */
+  describe('#deepFreeze', () => {
+    testIfExists(deepFreeze);
+
+    it('should freeze nested plain objects and arrays and return the value', () => {
+      const value = { patient: { visits: [{ id: 1 }] } };
+
+      expect(deepFreeze(value)).to.equal(value);
+      expect(Object.isFrozen(value.patient.visits[0])).to.equal(true);
+      expect(() => { value.patient.visits.push({ id: 2 }); }).to.throw(TypeError);
+    });
+
+    it('should leave class instances unfrozen', () => {
+      const value = { error: new Error('Oops') };
+      deepFreeze(value);
+
+      expect(Object.isFrozen(value)).to.equal(true);
+      expect(Object.isFrozen(value.error)).to.equal(false);
+    });
+  });
+
+  /** @name findNonSerializable */
+  describe('#findNonSerializable', () => {
+    class Patient {}
+
+    testIfExists(findNonSerializable);
+
+    it('should list the paths of functions, promises and class instances', () => {
+      const value = {
+        name: 'Ada',
+        tags: ['a', null],
+        onSave: () => {},
+        saving: Promise.resolve(),
+        visits: [{ id: 1, patient: new Patient() }],
+      };
+
+      expect(findNonSerializable(value)).to.deep.equal([
+        ['onSave'],
+        ['saving'],
+        ['visits', 0, 'patient'],
+      ]);
+    });
+
+    it('should skip parts identical to the previous value', () => {
+      const visits = [{ patient: new Patient() }];
+
+      expect(findNonSerializable({ visits, at: new Date() }, { visits })).to.deep.equal([['at']]);
+    });
+  });
+
+  /** @name strictReducer */
+  describe('#strictReducer', () => {
+    const TYPE = '@@/test/strict';
+    const withWarnings = (reducer, options) => {
+      const warnings = [];
+      const warn = warning => warnings.push(warning);
+      const strict = strictReducer(reducer, { warn, ...options });
+
+      return { strict, warnings };
+    };
+
+    testIfExists(strictReducer);
+
+    it('should return the result of a pure reducer without warnings', () => {
+      const reducer = createReducer({ visits: [] }, {
+        [TYPE]: (state, { payload }) => ({ visits: [...state.visits, payload] }),
+      });
+      const { strict, warnings } = withWarnings(reducer);
+
+      expect(strict(undefined, createAction(TYPE)({ id: 1 })))
+        .to.deep.equal({ visits: [{ id: 1 }] });
+      expect(warnings).to.deep.equal([]);
+    });
+
+    it('should throw when the reducer mutates its state', () => {
+      const { strict } = withWarnings((state, { payload }) => {
+        state.visits.push(payload);
+        return state;
+      }, { name: 'patient' });
+
+      expect(() => strict({ visits: [] }, createAction(TYPE)({ id: 1 })))
+        .to.throw(TypeError, 'Reducer "patient" mutated its state or action while handling');
+    });
+
+    it('should throw when a reducer given no state mutates its default state', () => {
+      const defaultState = { visits: [] };
+      const { strict } = withWarnings(createReducer(defaultState, {
+        [TYPE]: (state, { payload }) => {
+          state.visits.push(payload);
+          return state;
+        },
+      }));
+
+      expect(() => strict(undefined, createAction(TYPE)({ id: 1 }))).to.throw(TypeError, 'mutated');
+      expect(defaultState).to.deep.equal({ visits: [] });
+    });
+
+    it('should throw when the reducer mutates its action', () => {
+      const { strict } = withWarnings((state, action) => {
+        action.payload.seen = true;
+        return state;
+      });
+
+      expect(() => strict({}, createAction(TYPE)({ id: 1 }))).to.throw(TypeError, 'mutated');
+    });
+
+    it('should rethrow other errors as they are', () => {
+      const error = new TypeError('Bad payload');
+      const { strict } = withWarnings(() => { throw error; });
+
+      expect(() => strict({}, { type: TYPE })).to.throw(error);
+    });
+
+    it('should warn when the reducer returns undefined', () => {
+      const { strict, warnings } = withWarnings(() => undefined, { name: 'patient' });
+
+      expect(strict({}, { type: TYPE })).to.equal(undefined);
+      expect(warnings).to.deep.equal([
+        `Reducer "patient" returned undefined while handling "${TYPE}"`,
+      ]);
+    });
+
+    it('should warn when a handler of a createReducer reducer returns undefined', () => {
+      const reducer = createReducer({ a: 1 }, { [TYPE]: () => undefined });
+      const { strict, warnings } = withWarnings(reducer, { name: 'patient' });
+
+      expect(strict(undefined, { type: TYPE })).to.deep.equal({ a: 1 });
+      expect(warnings).to.deep.equal([
+        `Reducer "patient" has a handler that returned undefined while handling "${TYPE}"`,
+      ]);
+    });
+
+    it('should warn about non serializable values in the returned state', () => {
+      const { strict, warnings } = withWarnings((state, { payload }) => ({ ...state, payload }), {
+        name: 'patient',
+      });
+
+      strict({}, { type: TYPE, payload: { saving: Promise.resolve() } });
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.match(/^Reducer "patient" returned non serializable values/);
+      expect(warnings[0]).to.match(/: payload\.saving$/);
+    });
+
+    it('should return the reducer as is in production', () => {
+      const reducer = () => undefined;
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        expect(strictReducer(reducer)).to.equal(reducer);
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+  });
+
+  /** @name createRandom */
+  describe('#createRandom', () => {
+    const take = (random, count) => Array.from({ length: count }, () => random());
+
+    testIfExists(createRandom);
+
+    it('should give the same numbers for the same seed', () => {
+      expect(take(createRandom(42), 5)).to.deep.equal(take(createRandom(42), 5));
+      expect(take(createRandom(42), 5)).not.to.deep.equal(take(createRandom(43), 5));
+    });
+
+    it('should give numbers from 0 up to 1', () => {
+      const numbers = take(createRandom(1), 200);
+      expect(numbers.every(number => number >= 0 && number < 1)).to.equal(true);
+    });
+  });
+
+  /** @name generateField */
+  describe('#generateField', () => {
+    const schema = {
+      name: { type: 'String', required: true },
+      age: 'Number',
+      status: { enum: ['active', 'discharged'], required: true },
+      tags: { items: 'String' },
+      address: { required: true, shape: { zip: { type: 'String', required: true } } },
+      notes: {},
+    };
+
+    testIfExists(generateField);
+    testIfExists(generatePayload);
+
+    it('should generate payloads that are valid for the schema', () => {
+      const random = createRandom(7);
+      const payloads = Array.from({ length: 50 }, (value, index) =>
+        generatePayload(schema, random, index % 6));
+
+      payloads.forEach(payload => expect(validatePayload(schema, payload)).to.deep.equal([]));
+    });
+
+    it('should generate the same payloads for the same seed', () => {
+      expect(generatePayload(schema, createRandom(3))).to.deep.equal(
+        generatePayload(schema, createRandom(3))
+      );
+    });
+
+    it('should keep strings and arrays within the size', () => {
+      const random = createRandom(11);
+      const values = Array.from({ length: 30 }, () =>
+        generateField({ items: 'String' }, random, 2));
+
+      values.forEach(value => {
+        expect(value.length).to.be.at.most(2);
+        value.forEach(item => expect(item.length).to.be.at.most(2));
+      });
+    });
+
+    it('should throw for types it cannot generate', () => {
+      expect(() => generateField('Function', createRandom(1)))
+        .to.throw(TypeError, 'Cannot generate a value of type Function');
+    });
+  });
+
+  /** @name shrinkValue */
+  describe('#shrinkValue', () => {
+    testIfExists(shrinkValue);
+
+    it('should have nothing simpler than the simplest values', () => {
+      ['', 0, false, null, [], {}].forEach(value => expect(shrinkValue(value)).to.deep.equal([]));
+    });
+
+    it('should shrink strings, numbers and booleans', () => {
+      expect(shrinkValue('abcd')).to.deep.equal(['', 'ab', 'abc']);
+      expect(shrinkValue(-9.5)).to.deep.equal([0, -4, -9]);
+      expect(shrinkValue(true)).to.deep.equal([false]);
+    });
+
+    it('should drop and shrink the parts of arrays and objects', () => {
+      expect(shrinkValue([1, true])).to.deep.equal([[], [true], [1], [0, true], [1, false]]);
+      expect(shrinkValue({ a: 'x' })).to.deep.equal([{}, { a: '' }]);
+    });
+  });
+
+  /** @name checkProperty */
+  describe('#checkProperty', () => {
+    const schema = { tags: { items: 'Number', required: true } };
+
+    testIfExists(checkProperty);
+
+    it('should return null when the property holds', () => {
+      const property = ({ tags }) => (is(Array, tags) ? undefined : 'tags is not an array');
+      expect(checkProperty(property, { schema, seed: 1 })).to.equal(null);
+    });
+
+    it('should return the seed and a shrunk counterexample when it fails', () => {
+      const property = ({ tags }) => (tags.length > 2 ? 'too many tags' : undefined);
+      const failure = checkProperty(property, { schema, seed: 5 });
+
+      expect(failure).to.have.property('seed', 5);
+      expect(failure.message).to.equal('too many tags');
+      expect(failure.counterexample).to.deep.equal({ tags: [0, 0, 0] });
+      expect(failure.payload.tags.length).to.be.above(2);
+    });
+
+    it('should count a property that throws as failing', () => {
+      const failure = checkProperty(() => { throw new Error('Oops'); }, { schema, seed: 2 });
+
+      expect(failure.message).to.equal('threw Error: Oops');
+      expect(failure.counterexample).to.deep.equal({ tags: [] });
+    });
+
+    it('should reproduce a failure from its seed', () => {
+      const property = ({ tags }) => (tags.some(tag => tag < 0) ? 'negative tag' : undefined);
+      const failure = checkProperty(property, { schema, seed: 9 });
+
+      expect(checkProperty(property, { schema, seed: 9 })).to.deep.equal(failure);
+    });
+  });
+
+  /** @name actionTestSuite */
+  describe('#actionTestSuite', () => {
+    const TYPE = '@@/test/tagged';
+    const reducer = createReducer({ tags: [] }, {
+      [TYPE]: (state, { payload }) => ({ tags: [...state.tags, ...payload.tags] }),
+    });
+
+    testIfExists(actionTestSuite);
+
+    actionTestSuite(reducer, { tags: [] })({
+      name: 'addTags',
+      type: TYPE,
+      payload: { tags: ['a'] },
+      expectedObj: { tags: ['a'] },
+      generate: { schema: { tags: { items: 'String', required: true } }, seed: 42, runs: 20 },
+    });
+  });
+
+  /** @name createMemoryStorage */
+  describe('#createMemoryStorage', () => {
+    testIfExists(createMemoryStorage);
+
+    it('should get, set and remove items as strings', () => {
+      const storage = createMemoryStorage({ a: '1' });
+
+      return storage.getItem('a')
+        .then(value => expect(value).to.equal('1'))
+        .then(() => storage.setItem('b', 2))
+        .then(() => storage.getItem('b'))
+        .then(value => expect(value).to.equal('2'))
+        .then(() => storage.removeItem('a'))
+        .then(() => storage.getItem('a'))
+        .then(value => expect(value).to.equal(null));
+    });
+  });
+
+  /** @name persistReducer */
+  describe('#persistReducer', () => {
+    const reducer = persistReducer(createReducer({ patient: { name: '', dob: '' }, page: 1 }, {}), {
+      key: 'root',
+    });
+
+    testIfExists(persistReducer);
+    testIfExists(rehydrate);
+
+    it('should merge persisted state for its key', () => {
+      const action = rehydrate({ patient: { name: 'Ada' } }, { key: 'root' });
+
+      expect(reducer(undefined, action)).to.deep.equal({
+        patient: { name: 'Ada', dob: '' },
+        page: 1,
+      });
+    });
+
+    it('should ignore other keys, empty and error rehydrations', () => {
+      const state = reducer(undefined, { type: 'init' });
+
+      expect(reducer(state, rehydrate({ page: 2 }, { key: 'other' }))).to.equal(state);
+      expect(reducer(state, rehydrate(undefined, { key: 'root' }))).to.equal(state);
+      expect(reducer(state, { ...rehydrate({ page: 2 }, { key: 'root' }), error: true }))
+        .to.equal(state);
+    });
+  });
+
+  /** @name persistEnhancer */
+  describe('#persistEnhancer', () => {
+    const SET_NAME = '@@/test/setName';
+    const createStore = (reducer, preloadedState) => {
+      let state = preloadedState;
+      let listeners = [];
+      const dispatch = action => {
+        state = reducer(state, action);
+        listeners.forEach(listener => listener());
+        return action;
+      };
+
+      dispatch({ type: '@@/test/init' });
+      return {
+        dispatch,
+        getState: () => state,
+        subscribe: listener => {
+          listeners = [...listeners, listener];
+          return () => { listeners = listeners.filter(other => other !== listener); };
+        },
+      };
+    };
+    const createClock = () => {
+      let timers = [];
+      return {
+        setTimeout: (callback, delay) => {
+          timers = [...timers, { callback, delay }];
+          return timers.length;
+        },
+        clearTimeout: id => { timers[id - 1].callback = () => undefined; },
+        tick: () => {
+          const due = timers;
+          timers = [];
+          return Promise.all(due.map(({ callback }) => callback()));
+        },
+        pending: () => timers.length,
+      };
+    };
+    const baseReducer = createReducer({ patient: { name: '', ssn: '' }, page: 1 }, {
+      [SET_NAME]: (state, { payload }) => ({ patient: { ...state.patient, name: payload } }),
+    });
+    const setup = config => {
+      const clock = createClock();
+      const fullConfig = { key: 'root', storage: createMemoryStorage(), clock, ...config };
+      const enhancedCreateStore = persistEnhancer(fullConfig)(createStore);
+      const store = enhancedCreateStore(persistReducer(baseReducer, fullConfig));
+
+      return { store, clock, storage: fullConfig.storage };
+    };
+    const stored = (storage, key = 'persist:root') =>
+      Promise.resolve().then(() => storage.getItem(key)).then(JSON.parse);
+
+    testIfExists(persistEnhancer);
+
+    it('should rehydrate stored state on startup', () => {
+      const storage = createMemoryStorage({
+        'persist:root': JSON.stringify({ version: 0, state: { patient: { name: 'Ada' } } }),
+      });
+      const { store } = setup({ storage });
+
+      return store.persistor.rehydrated.then(action => {
+        expect(action).to.deep.equal(rehydrate({ patient: { name: 'Ada' } }, { key: 'root' }));
+        expect(store.getState()).to.deep.equal({ patient: { name: 'Ada', ssn: '' }, page: 1 });
+      });
+    });
+
+    it('should write the whitelisted paths less the blacklisted ones, throttled', () => {
+      const { store, clock, storage } = setup({
+        whitelist: ['patient'],
+        blacklist: ['patient.ssn'],
+        throttle: 500,
+      });
+
+      return store.persistor.rehydrated.then(() => {
+        store.dispatch(createAction(SET_NAME)('Ada'));
+        store.dispatch(createAction(SET_NAME)('Grace'));
+
+        expect(clock.pending()).to.equal(1);
+        return clock.tick();
+      }).then(() => stored(storage)).then(value => {
+        expect(value).to.deep.equal({ version: 0, state: { patient: { name: 'Grace' } } });
+      });
+    });
+
+    it('should not write before rehydrating', () => {
+      const { store, clock } = setup();
+      store.dispatch(createAction(SET_NAME)('Ada'));
+
+      expect(clock.pending()).to.equal(0);
+    });
+
+    it('should run migrations from the stored version and flush right away', () => {
+      const storage = createMemoryStorage({
+        'persist:root': JSON.stringify({ version: 1, state: { patient: { first: 'Ada' } } }),
+      });
+      const { store } = setup({
+        storage,
+        version: 3,
+        migrations: {
+          1: () => { throw new Error('Should not run'); },
+          2: ({ patient }) => ({ patient: { name: patient.first } }),
+          3: state => ({ ...state, page: 2 }),
+        },
+      });
+
+      return store.persistor.flush()
+        .then(() => stored(storage))
+        .then(value => {
+          expect(store.getState()).to.deep.equal({ patient: { name: 'Ada', ssn: '' }, page: 2 });
+          expect(value).to.deep.equal({ version: 3, state: store.getState() });
+        });
+    });
+
+    it('should drop state stored by a later version', () => {
+      const storage = createMemoryStorage({
+        'persist:root': JSON.stringify({ version: 2, state: { page: 9 } }),
+      });
+      const { store } = setup({ storage, version: 1 });
+
+      return store.persistor.rehydrated.then(() => expect(store.getState().page).to.equal(1));
+    });
+
+    it('should use the serializer hook', () => {
+      const serializer = {
+        serialize: value => JSON.stringify(value, (key, item) => (
+          is(Map, item) ? { dataType: 'Map', entries: [...item] } : item
+        )),
+        deserialize: text => JSON.parse(text, (key, item) => (
+          item && item.dataType === 'Map' ? new Map(item.entries) : item
+        )),
+      };
+      const storage = createMemoryStorage();
+
+      return storage.setItem('persist:root', serializer.serialize({
+        version: 0,
+        state: { page: new Map([[1, 'Ada']]) },
+      }))
+        .then(() => setup({ ...serializer, storage }).store.persistor.rehydrated)
+        .then(action => {
+          expect(action.payload.page).to.be.an.instanceof(Map);
+          expect(action.payload.page.get(1)).to.equal('Ada');
+        });
+    });
+
+    it('should dispatch an error rehydration when stored state cannot be read', () => {
+      const storage = createMemoryStorage({ 'persist:root': '{' });
+      const { store } = setup({ storage });
+
+      return store.persistor.rehydrated.then(action => {
+        expect(action.error).to.equal(true);
+        expect(action.message).to.equal('Could not rehydrate "root"');
+        expect(store.getState().page).to.equal(1);
+      });
+    });
+
+    it('should write the same state again after a failed write', () => {
+      const storage = createMemoryStorage();
+      const setItem = storage.setItem;
+      let failures = 1;
+      storage.setItem = (key, text) => {
+        if (failures === 0) return setItem(key, text);
+
+        failures -= 1;
+        return Promise.reject(new Error('Quota exceeded'));
+      };
+      const { store } = setup({ storage });
+
+      return expect(store.persistor.flush()).to.be.rejectedWith('Quota exceeded')
+        .then(() => store.persistor.flush())
+        .then(() => stored(storage))
+        .then(value => expect(value).to.deep.equal({ version: 0, state: store.getState() }));
+    });
+
+    it('should pass errors of the serializer to onError', () => {
+      const errors = [];
+      const { store, clock } = setup({
+        serialize: () => { throw new Error('cannot serialize'); },
+        onError: error => errors.push(error.message),
+      });
+
+      return store.persistor.rehydrated.then(() => {
+        store.dispatch(createAction(SET_NAME)('Ada'));
+        return clock.tick();
+      }).then(() => {
+        expect(errors).to.deep.equal(['cannot serialize']);
+        return expect(store.persistor.flush()).to.be.rejectedWith('cannot serialize');
+      });
+    });
+
+    it('should purge the stored state', () => {
+      const { store, storage } = setup();
+
+      return store.persistor.flush()
+        .then(() => store.persistor.purge())
+        .then(() => storage.getItem('persist:root'))
+        .then(value => expect(value).to.equal(null));
+    });
+  });
+
+  /** @name configureStore */
+  describe('#configureStore', () => {
+    const SET_NAME = '@@/test/setName';
+    const patient = createReducer({ name: '' }, { [SET_NAME]: createHandler('name') });
+    const page = (state = 1) => state;
+
+    testIfExists(configureStore);
+    testIfExists(thunkMiddleware);
+
+    it('should combine a map of reducers', () => {
+      const store = configureStore({ reducers: { patient, page } });
+      const state = store.getState();
+
+      expect(state).to.deep.equal({ patient: { name: '' }, page: 1 });
+      store.dispatch({ type: 'unknown' });
+      expect(store.getState()).to.equal(state);
+
+      store.dispatch(createAction(SET_NAME)('Ada'));
+      expect(store.getState()).to.deep.equal({ patient: { name: 'Ada' }, page: 1 });
+    });
+
+    it('should take a single reducer and preloaded state', () => {
+      const store = configureStore({ reducers: patient, preloadedState: { name: 'Ada' } });
+      expect(store.getState()).to.deep.equal({ name: 'Ada' });
+    });
+
+    it('should run thunks made by createThunk', () => {
+      const store = configureStore({ reducers: { patient } });
+
+      return store.dispatch(createThunk(SET_NAME)('Ada')).then(action => {
+        expect(action.payload).to.equal('Ada');
+        expect(store.getState().patient.name).to.equal('Ada');
+      });
+    });
+
+    it('should pass thunks getState and run the given middleware after thunks', () => {
+      const seen = [];
+      const store = configureStore({
+        reducers: { patient },
+        middleware: [() => next => action => {
+          seen.push(action.type);
+          return next(action);
+        }],
+      });
+
+      store.dispatch((dispatch, getState) => {
+        dispatch(createAction(SET_NAME)(`${getState().patient.name}Ada`));
+      });
+      expect(seen).to.deep.equal([SET_NAME]);
+    });
+
+    it('should apply enhancers with the first outermost', () => {
+      const calls = [];
+      const enhancer = label => createStore => (...args) => {
+        calls.push(label);
+        return { ...createStore(...args), label };
+      };
+      const store = configureStore({
+        reducers: patient,
+        enhancers: [enhancer('a'), enhancer('b')],
+      });
+
+      expect(calls).to.deep.equal(['a', 'b']);
+      expect(store.label).to.equal('a');
+    });
+
+    it('should notify subscribers until they unsubscribe', () => {
+      const store = configureStore({ reducers: { patient } });
+      let calls = 0;
+      const unsubscribe = store.subscribe(() => { calls += 1; });
+
+      store.dispatch({ type: 'a' });
+      unsubscribe();
+      store.dispatch({ type: 'b' });
+      expect(calls).to.equal(1);
+    });
+
+    it('should reject actions that are not objects with a type', () => {
+      const store = configureStore({ reducers: { patient } });
+      expect(() => store.dispatch({})).to.throw(TypeError, 'Actions must be objects with a type');
+    });
+
+    it('should replace reducers given in either form', () => {
+      const store = configureStore({ reducers: { patient } });
+      store.replaceReducer({ patient, page });
+      expect(store.getState()).to.deep.equal({ patient: { name: '' }, page: 1 });
+
+      store.replaceReducer(state => ({ ...state, page: 2 }));
+      expect(store.getState().page).to.equal(2);
+    });
+
+    it('should run development checks unless turned off', () => {
+      const warnings = [];
+      const mutating = (state = { tags: [] }, action) => {
+        if (action.type === 'tag') state.tags.push(action.payload);
+        return state;
+      };
+
+      const checked = configureStore({
+        reducers: mutating,
+        devChecks: { warn: warning => warnings.push(warning) },
+      });
+      expect(() => checked.dispatch({ type: 'tag', payload: 'a' }))
+        .to.throw(TypeError, 'Reducer "root" mutated its state or action');
+
+      const unchecked = configureStore({ reducers: mutating, devChecks: false });
+      unchecked.dispatch({ type: 'tag', payload: 'a' });
+      expect(unchecked.getState().tags).to.deep.equal(['a']);
+    });
+
+    it('should work with persistEnhancer', () => {
+      const config = { key: 'root', storage: createMemoryStorage(), throttle: 0 };
+      const store = configureStore({
+        reducers: persistReducer(patient, config),
+        enhancers: [persistEnhancer(config)],
+      });
+
+      return store.persistor.flush().then(() => config.storage.getItem('persist:root'))
+        .then(text => expect(JSON.parse(text).state).to.deep.equal({ name: '' }));
+    });
+  });
+
+  /** @name combineReducers */
+  describe('#combineReducers', () => {
+    const SET_NAME = '@@/test/setName';
+    const OPEN = '@@/test/open';
+    const name = (state = '', action) => (action.type === SET_NAME ? action.payload : state);
+    const modal = createReducer({ open: false }, { [OPEN]: () => ({ open: true }) });
+    const visits = (state = []) => state;
+    const reducer = combineReducers({
+      'patients.current.name': name,
+      ui: { modal, 'filters.visits': visits },
+    });
+
+    testIfExists(combineReducers);
+
+    it('should mount reducers at nested paths', () => {
+      expect(reducer(undefined, { type: 'init' })).to.deep.equal({
+        patients: { current: { name: '' } },
+        ui: { modal: { open: false }, filters: { visits: [] } },
+      });
+    });
+
+    it('should keep unknown keys and untouched slices', () => {
+      const state = reducer({ version: 2 }, { type: 'init' });
+      const next = reducer(state, createAction(SET_NAME)('Ada'));
+
+      expect(next.version).to.equal(2);
+      expect(next.patients.current.name).to.equal('Ada');
+      expect(next.ui).to.equal(state.ui);
+    });
+
+    it('should return the same state when no slice changed', () => {
+      const state = reducer(undefined, { type: 'init' });
+      expect(reducer(state, { type: 'other' })).to.equal(state);
+    });
+
+    it('should mount reducers at array indexes', () => {
+      const first = combineReducers({ 'visits[0]': modal });
+      expect(first({ visits: [{ open: false }] }, { type: OPEN })).to.deep.equal({
+        visits: [{ open: true }],
+      });
+    });
+
+    it('should compose with reduceReducers either way', () => {
+      const count = (state, action) => (
+        action.type === SET_NAME ? { ...state, count: (state.count || 0) + 1 } : state
+      );
+      const outer = reduceReducers(reducer, count);
+      const inner = combineReducers({ patient: reduceReducers(name, value => value.trim()) });
+
+      expect(outer({}, createAction(SET_NAME)('Ada')).count).to.equal(1);
+      expect(inner({}, createAction(SET_NAME)(' Ada '))).to.deep.equal({ patient: 'Ada' });
+    });
+
+    it('should throw for values that are not reducers or maps', () => {
+      expect(() => combineReducers({ patient: 'name' }))
+        .to.throw(TypeError, 'Reducer at "patient" should be a function or a map of reducers');
+    });
+
+    it('should throw for template path keys', () => {
+      expect(() => combineReducers({ byId: { ':id': state => state } }))
+        .to.throw(TypeError, 'Reducers may not be mounted at the template path ":id"');
+    });
+  });
 });